@@ -1,70 +1,561 @@
 // X Tweet Tracker - Background Service Worker
 // Handles storage operations for saved tweets
 
-const STORAGE_KEY = 'savedTweets';
-const AUTHOR_TAGS_KEY = 'authorTags';
+importScripts('lib/tickers.js', 'lib/settings.js', 'lib/watchlist.js', 'lib/authors.js', 'lib/tweets.js', 'lib/journal.js', 'lib/sentiment.js');
+
+const LEGACY_STORAGE_KEY = 'savedTweets'; // chrome.storage.sync array used before 1.1.0
+const AUTHOR_INDEX_KEY = 'authorTweetIndex';
+const STORE_VERSION_KEY = 'tweetStoreVersion';
+const STORE_VERSION = 1;
+
+// Separate settings keys used before 1.2.0, by settings section
+const LEGACY_SETTINGS_KEYS = {
+  tickers: 'tickerSettings',
+  quotes: 'quoteSettings',
+  markdown: 'markdownSettings'
+};
+
+// Tweet store
+//
+// Each tweet lives under its own `tweet:<id>` key in chrome.storage.local
+// (unlimitedStorage), so nothing is ever evicted to make room. Two index
+// records keep lookups cheap without loading every tweet:
+//   tweetIndex        - tweet IDs, newest save first
+//   authorTweetIndex  - { handle: [tweet IDs] }
+
+let storeReady = null;
+let storeQueue = Promise.resolve();
+
+// Serialize read-modify-write operations on the store so concurrent
+// messages can't clobber each other's index updates
+function withStoreLock(fn) {
+  const run = storeQueue.then(fn);
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+// Run the one-time migration before the first store access
+function ensureTweetStore() {
+  if (!storeReady) {
+    storeReady = migrateTweetStore().catch(error => {
+      storeReady = null;
+      throw error;
+    });
+  }
+  return storeReady;
+}
+
+// Move the legacy savedTweets array out of chrome.storage.sync
+async function migrateTweetStore() {
+  const { [STORE_VERSION_KEY]: version } = await chrome.storage.local.get(STORE_VERSION_KEY);
+  if (version >= STORE_VERSION) return;
+
+  const legacy = await chrome.storage.sync.get(LEGACY_STORAGE_KEY);
+  const legacyTweets = legacy[LEGACY_STORAGE_KEY] || [];
+
+  if (legacyTweets.length > 0) {
+    const index = await getTweetIndex();
+    const known = new Set(index.ids);
+    const records = {};
+    const migratedIds = [];
+
+    // Legacy array is newest first; keep that order
+    legacyTweets.forEach(tweet => {
+      if (!tweet || !tweet.id || known.has(tweet.id)) return;
+      known.add(tweet.id);
+      records[tweetKey(tweet.id)] = tweet;
+      migratedIds.push(tweet.id);
+      if (tweet.author) {
+        index.byAuthor[tweet.author] = index.byAuthor[tweet.author] || [];
+        index.byAuthor[tweet.author].push(tweet.id);
+      }
+    });
+
+    index.ids = [...index.ids, ...migratedIds];
+    await chrome.storage.local.set({
+      ...records,
+      [TWEET_INDEX_KEY]: index.ids,
+      [AUTHOR_INDEX_KEY]: index.byAuthor
+    });
+    console.log(`Migrated ${migratedIds.length} tweet(s) from sync storage`);
+  }
+
+  await chrome.storage.local.set({ [STORE_VERSION_KEY]: STORE_VERSION });
+
+  // Only drop the sync copy once the local copy is written
+  if (legacyTweets.length > 0) {
+    await chrome.storage.sync.remove(LEGACY_STORAGE_KEY);
+  }
+}
+
+// Get the ID and author indexes
+async function getTweetIndex() {
+  const result = await chrome.storage.local.get([TWEET_INDEX_KEY, AUTHOR_INDEX_KEY]);
+  return {
+    ids: result[TWEET_INDEX_KEY] || [],
+    byAuthor: result[AUTHOR_INDEX_KEY] || {}
+  };
+}
+
+// Load tweet records for a list of IDs, preserving order
+async function getTweetsByIds(ids) {
+  if (ids.length === 0) return [];
+  const result = await chrome.storage.local.get(ids.map(tweetKey));
+  return ids.map(id => result[tweetKey(id)]).filter(Boolean);
+}
 
 // Get all saved tweets
 async function getSavedTweets() {
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  return result[STORAGE_KEY] || [];
+  await ensureTweetStore();
+  const index = await getTweetIndex();
+  return getTweetsByIds(index.ids);
 }
 
-// Save tweets to storage
-async function saveTweets(tweets) {
-  await chrome.storage.sync.set({ [STORAGE_KEY]: tweets });
+// Get a single saved tweet
+async function getTweet(tweetId) {
+  await ensureTweetStore();
+  const result = await chrome.storage.local.get(tweetKey(tweetId));
+  return result[tweetKey(tweetId)] || null;
 }
 
 // Add a new tweet
 async function addTweet(tweetData) {
-  const tweets = await getSavedTweets();
+  await ensureTweetStore();
+
+  tweetData = {
+    ...tweetData,
+    tags: normalizeTweetLabels(tweetData.tags),
+    collections: normalizeTweetLabels(tweetData.collections)
+  };
+
+  const added = await withStoreLock(async () => {
+    const index = await getTweetIndex();
 
-  // Check for duplicate
-  const exists = tweets.some(t => t.id === tweetData.id);
-  if (exists) {
+    // Check for duplicate
+    if (index.ids.includes(tweetData.id)) {
+      return false;
+    }
+
+    index.ids.unshift(tweetData.id); // Add to beginning
+    if (tweetData.author) {
+      index.byAuthor[tweetData.author] = [tweetData.id, ...(index.byAuthor[tweetData.author] || [])];
+    }
+
+    await chrome.storage.local.set({
+      [tweetKey(tweetData.id)]: tweetData,
+      [TWEET_INDEX_KEY]: index.ids,
+      [AUTHOR_INDEX_KEY]: index.byAuthor
+    });
+    await updateAuthorTweetCounts([tweetData.author]);
+    return true;
+  });
+
+  if (!added) {
     return { success: false, duplicate: true };
   }
 
-  tweets.unshift(tweetData); // Add to beginning
+  return { success: true };
+}
+
+// Batch Tweet Functions
+//
+// Dashboard bulk actions. Each runs as one locked read-modify-write with a
+// single storage write, refreshing the affected authors' counts in the same lock.
 
-  // Check storage limits - sync storage has 100KB limit
-  // If we're approaching the limit, remove oldest tweets
-  const dataString = JSON.stringify(tweets);
-  if (dataString.length > 90000) { // Leave some buffer
-    tweets.pop(); // Remove oldest
+// Check a list of tweet IDs from a message
+function validateTweetIds(tweetIds) {
+  if (!Array.isArray(tweetIds) || tweetIds.length === 0 || tweetIds.some(id => typeof id !== 'string')) {
+    return 'tweetIds must be a non-empty array of strings';
   }
+  return null;
+}
+
+// Delete several tweets at once
+async function deleteTweets(tweetIds) {
+  const error = validateTweetIds(tweetIds);
+  if (error) return { success: false, error };
+
+  tweetIds.forEach(cancelScheduledArchive);
+  await ensureTweetStore();
+
+  const deleted = await withStoreLock(async () => {
+    const tweets = await getTweetsByIds(tweetIds);
+    const deleting = new Set(tweets.map(tweet => tweet.id));
+    const index = await getTweetIndex();
+    const affected = new Set();
+
+    index.ids = index.ids.filter(id => !deleting.has(id));
+    tweets.forEach(tweet => {
+      if (!tweet.author || !index.byAuthor[tweet.author]) return;
+      affected.add(tweet.author);
+      index.byAuthor[tweet.author] = index.byAuthor[tweet.author].filter(id => !deleting.has(id));
+      if (index.byAuthor[tweet.author].length === 0) {
+        delete index.byAuthor[tweet.author];
+      }
+    });
 
-  await saveTweets(tweets);
+    await chrome.storage.local.set({
+      [TWEET_INDEX_KEY]: index.ids,
+      [AUTHOR_INDEX_KEY]: index.byAuthor
+    });
+    await chrome.storage.local.remove([...deleting].map(tweetKey));
+    await updateAuthorTweetCounts([...affected]);
+    return deleting.size;
+  });
+
+  return { success: true, deleted };
+}
 
-  // Update author tweet count
-  if (tweetData.author) {
-    await updateAuthorTweetCount(tweetData.author);
+// Apply the same change to several tweets: { actionable, addTags, removeTags,
+// addCollections, removeCollections }
+async function updateTweets(tweetIds, changes) {
+  const error = validateTweetIds(tweetIds);
+  if (error) return { success: false, error };
+
+  const lists = ['addTags', 'removeTags', 'addCollections', 'removeCollections'];
+  for (const field of lists) {
+    if (changes[field] !== undefined && (!Array.isArray(changes[field]) || changes[field].some(label => typeof label !== 'string'))) {
+      return { success: false, error: `${field} must be an array of strings` };
+    }
   }
 
+  // Add, then drop removed labels case-insensitively
+  const applyLabels = (current, add, remove) => {
+    const removing = new Set(normalizeTweetLabels(remove).map(label => label.toLowerCase()));
+    return normalizeTweetLabels([...(current || []), ...(add || [])])
+      .filter(label => !removing.has(label.toLowerCase()));
+  };
+
+  await ensureTweetStore();
+
+  const updated = await withStoreLock(async () => {
+    const tweets = await getTweetsByIds(tweetIds);
+    const updatedAt = new Date().toISOString();
+    const records = {};
+
+    tweets.forEach(tweet => {
+      const next = {
+        ...tweet,
+        tags: applyLabels(tweet.tags, changes.addTags, changes.removeTags),
+        collections: applyLabels(tweet.collections, changes.addCollections, changes.removeCollections),
+        updatedAt
+      };
+      if (changes.actionable !== undefined) {
+        next.actionable = !!changes.actionable;
+        if (!next.actionable) next.journal = null;
+      }
+      records[tweetKey(tweet.id)] = next;
+    });
+
+    await chrome.storage.local.set(records);
+    return Object.values(records);
+  });
+
+  return { success: true, tweets: updated };
+}
+
+// Tweet tags and collection names in use, most used first, for autocomplete
+async function getTweetLabels() {
+  const tweets = await getSavedTweets();
+  const count = field => {
+    const counts = new Map();
+    tweets.forEach(tweet => (tweet[field] || []).forEach(label => {
+      const key = label.toLowerCase();
+      const entry = counts.get(key) || { name: label, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }));
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  };
+  return { tags: count('tags'), collections: count('collections') };
+}
+
+// Update a saved tweet in place; updater gets a copy and returns the new record
+async function updateTweetRecord(tweetId, updater) {
+  await ensureTweetStore();
+
+  return withStoreLock(async () => {
+    const tweet = await getTweet(tweetId);
+    if (!tweet) return null;
+
+    const updated = updater({ ...tweet });
+    await chrome.storage.local.set({ [tweetKey(tweetId)]: updated });
+    return updated;
+  });
+}
+
+// Delete a tweet by ID. With removeAuthor, as when a save is undone, the
+// author's entry goes too once they have no saved tweets left.
+async function deleteTweet(tweetId, { removeAuthor = false } = {}) {
+  cancelScheduledArchive(tweetId);
+  await ensureTweetStore();
+
+  await withStoreLock(async () => {
+    const tweet = await getTweet(tweetId);
+    const index = await getTweetIndex();
+
+    index.ids = index.ids.filter(id => id !== tweetId);
+    if (tweet && tweet.author && index.byAuthor[tweet.author]) {
+      index.byAuthor[tweet.author] = index.byAuthor[tweet.author].filter(id => id !== tweetId);
+      if (index.byAuthor[tweet.author].length === 0) {
+        delete index.byAuthor[tweet.author];
+      }
+    }
+
+    await chrome.storage.local.set({
+      [TWEET_INDEX_KEY]: index.ids,
+      [AUTHOR_INDEX_KEY]: index.byAuthor
+    });
+    await chrome.storage.local.remove(tweetKey(tweetId));
+
+    if (removeAuthor && tweet?.author && !index.byAuthor[tweet.author]) {
+      const tags = await getAuthorTags();
+      delete tags[tweet.author];
+      await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
+    } else {
+      await updateAuthorTweetCounts([tweet?.author]);
+    }
+  });
+
   return { success: true };
 }
 
-// Delete a tweet by ID
-async function deleteTweet(tweetId) {
+// Check hand-set sentiment labels, { TICKER: label or null }
+function validateSentimentOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'sentimentOverrides must map tickers to labels';
+  }
+  const invalid = Object.entries(overrides).find(([ticker, label]) =>
+    !normalizeTickerSymbol(ticker) || (label !== null && !SENTIMENT_LABELS.includes(label)));
+  return invalid ? `Invalid sentiment for ${invalid[0]}: must be one of ${SENTIMENT_LABELS.join(', ')}` : null;
+}
+
+// Update the user-editable fields of a saved tweet
+async function updateTweet(tweetId, changes) {
+  const updates = {};
+
+  if (changes.comment !== undefined) {
+    if (typeof changes.comment !== 'string') {
+      return { success: false, error: 'comment must be a string' };
+    }
+    updates.comment = changes.comment.trim();
+  }
+
+  if (changes.actionable !== undefined) {
+    updates.actionable = !!changes.actionable;
+    // A tweet that stops being actionable drops its trade, so marking it
+    // actionable again starts a new one
+    if (!updates.actionable) {
+      updates.journal = null;
+    }
+  }
+
+  for (const field of ['tags', 'collections']) {
+    if (changes[field] === undefined) continue;
+    if (!Array.isArray(changes[field]) || changes[field].some(label => typeof label !== 'string')) {
+      return { success: false, error: `${field} must be an array of strings` };
+    }
+    updates[field] = normalizeTweetLabels(changes[field]);
+  }
+
+  if (changes.sentimentOverrides !== undefined) {
+    const error = validateSentimentOverrides(changes.sentimentOverrides);
+    if (error) {
+      return { success: false, error };
+    }
+    // Unset and null entries go back to the lexicon
+    updates.sentimentOverrides = Object.fromEntries(Object.entries(changes.sentimentOverrides)
+      .filter(([, label]) => label)
+      .map(([ticker, label]) => [normalizeTickerSymbol(ticker), label]));
+  }
+
+  if (changes.tickers !== undefined) {
+    if (!Array.isArray(changes.tickers) || changes.tickers.some(t => typeof t !== 'string')) {
+      return { success: false, error: 'tickers must be an array of strings' };
+    }
+    updates.tickers = [...new Set(changes.tickers.map(normalizeTickerSymbol).filter(t => t))];
+    // Re-parsing leaves hand-edited ticker lists alone
+    updates.tickersEdited = true;
+  }
+
+  const previous = await getTweet(tweetId);
+  if (!previous) {
+    return { success: false, error: 'Tweet not found' };
+  }
+
+  if (changes.journal === null) {
+    updates.journal = null;
+  } else if (changes.journal !== undefined) {
+    // Journal entries are actionable trades
+    if (updates.actionable === false) {
+      return { success: false, error: 'Only actionable tweets can have a journal entry' };
+    }
+    const { entry, error } = validateJournalEntry(changes.journal, updates.tickers || previous.tickers);
+    if (error) {
+      return { success: false, error };
+    }
+    updates.journal = entry;
+    updates.actionable = true;
+  }
+
+  const tweet = await updateTweetRecord(tweetId, stored => ({
+    ...stored,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  }));
+
+  if (!tweet) {
+    return { success: false, error: 'Tweet not found' };
+  }
+
+  // Newly added tickers need their own price snapshots
+  if (updates.tickers && updates.tickers.some(t => !previous.tickers.includes(t))) {
+    captureTweetSnapshots(tweetId)
+      .catch(error => console.error('Snapshot capture failed:', error));
+  }
+
+  return { success: true, tweet };
+}
+
+// Settings Functions
+//
+// The settings object itself is defined and validated in lib/settings.js;
+// these are the only functions that write it.
+
+// Get the full settings object
+async function getSettings() {
+  return getStoredSettings();
+}
+
+// Save a partial settings object ({ section: { field: value } }) over the
+// current settings. Nothing is written if any field is invalid.
+async function saveSettings(changes) {
+  const current = await getSettings();
+  const merged = {};
+  Object.keys(SETTINGS_SCHEMA).forEach(section => {
+    merged[section] = { ...current[section], ...(changes?.[section] || {}) };
+  });
+
+  const { settings, errors } = validateSettings(merged);
+  const invalid = Object.entries(errors);
+  if (invalid.length > 0) {
+    return { success: false, errors, error: `${invalid[0][0]}: ${invalid[0][1]}` };
+  }
+
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+
+  // Cached quotes may have come from the old source
+  if (JSON.stringify(settings.quotes) !== JSON.stringify(current.quotes)) {
+    await chrome.storage.local.remove(QUOTE_CACHE_KEY);
+  }
+  return { success: true, settings };
+}
+
+// Sections built from the pre-1.2.0 settings keys found in values
+function settingsFromLegacyKeys(values) {
+  const sections = {};
+  Object.entries(LEGACY_SETTINGS_KEYS).forEach(([section, key]) => {
+    if (values[key]) {
+      sections[section] = values[key];
+    }
+  });
+  return sections;
+}
+
+// Fold the pre-1.2.0 settings keys into the settings object
+async function migrateSettings() {
+  const legacyKeys = Object.values(LEGACY_SETTINGS_KEYS);
+  const stored = await chrome.storage.local.get([SETTINGS_KEY, ...legacyKeys]);
+  if (!legacyKeys.some(key => stored[key])) return;
+
+  if (!stored[SETTINGS_KEY]) {
+    const { settings } = validateSettings(settingsFromLegacyKeys(stored));
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  }
+  await chrome.storage.local.remove(legacyKeys);
+}
+
+// Ticker parsing settings (ignore list, aliases and pattern)
+async function getTickerSettings() {
+  return (await getSettings()).tickers;
+}
+
+// Tickers a saved tweet would get if it were saved again: its own cashtags,
+// the quoted tweet's, and with a saved thread the author's cashtags from every
+// post. Keep in step with getTweetData and handleModalSave in content.js when a
+// save starts reading tickers from somewhere new.
+function extractSavedTweetTickers(tweet, settings) {
+  const posts = tweet.thread?.posts?.length > 0 ? tweet.thread.posts : [tweet];
+  return [...new Set(posts.flatMap(post => {
+    const source = post.id === tweet.id ? tweet : post;
+    // Thread posts saved before they kept their quoted tweet only have the
+    // tickers read at save time to go on
+    const quoted = 'quotedTweet' in source
+      ? extractTickers(source.quotedTweet?.text, settings)
+      : (source.tickers || []).map(ticker => normalizeTicker(ticker, settings)).filter(Boolean);
+    return [...extractTickers(source.text, settings), ...quoted];
+  }))];
+}
+
+// Re-extract tickers for every saved tweet with the current settings.
+// Hand-edited ticker lists only get aliases and the ignore list applied.
+async function reparseTweetTickers() {
+  const settings = await getTickerSettings();
   const tweets = await getSavedTweets();
-  const tweetToDelete = tweets.find(t => t.id === tweetId);
-  const filtered = tweets.filter(t => t.id !== tweetId);
-  await saveTweets(filtered);
+  let changed = 0;
+
+  for (const tweet of tweets) {
+    const tickers = tweet.tickersEdited
+      ? [...new Set(tweet.tickers.map(t => normalizeTicker(t, settings)).filter(Boolean))]
+      : extractSavedTweetTickers(tweet, settings);
 
-  // Update author tweet count after deletion
-  if (tweetToDelete && tweetToDelete.author) {
-    await updateAuthorTweetCount(tweetToDelete.author);
+    if (JSON.stringify(tickers) === JSON.stringify(tweet.tickers)) continue;
+
+    await updateTweetRecord(tweet.id, stored => ({ ...stored, tickers }));
+    changed++;
   }
 
-  return { success: true };
+  return { success: true, total: tweets.length, changed };
+}
+
+// Replace the whole tweet store with the given records, rebuilding both indexes
+async function writeTweetStore(tweets) {
+  await ensureTweetStore();
+
+  return withStoreLock(async () => {
+    const previous = await getTweetIndex();
+    const sorted = [...tweets].sort((a, b) => (Date.parse(b.savedAt) || 0) - (Date.parse(a.savedAt) || 0));
+    const records = {};
+    const byAuthor = {};
+
+    sorted.forEach(tweet => {
+      records[tweetKey(tweet.id)] = tweet;
+      if (tweet.author) {
+        byAuthor[tweet.author] = byAuthor[tweet.author] || [];
+        byAuthor[tweet.author].push(tweet.id);
+      }
+    });
+
+    const ids = sorted.map(t => t.id);
+    const keep = new Set(ids);
+    const stale = previous.ids.filter(id => !keep.has(id)).map(tweetKey);
+
+    await chrome.storage.local.set({
+      ...records,
+      [TWEET_INDEX_KEY]: ids,
+      [AUTHOR_INDEX_KEY]: byAuthor
+    });
+    if (stale.length > 0) {
+      await chrome.storage.local.remove(stale);
+    }
+  });
 }
 
 // Author Tags Functions
 
 // Get all author tags
 async function getAuthorTags() {
-  const result = await chrome.storage.local.get(AUTHOR_TAGS_KEY);
-  return result[AUTHOR_TAGS_KEY] || {};
+  return getStoredAuthorTags();
 }
 
 // Get single author's tags
@@ -73,64 +564,168 @@ async function getAuthorTag(handle) {
   return tags[handle] || null;
 }
 
-// Save/update author tags
+// Save/update author tags. Every write of the author tags goes through
+// withStoreLock, so tweet saves and bulk author actions can't overwrite it.
 async function saveAuthorTag(data) {
-  const tags = await getAuthorTags();
-  const existing = tags[data.handle] || {};
-
-  tags[data.handle] = {
-    handle: data.handle,
-    displayName: data.displayName || existing.displayName || data.handle,
-    tags: data.tags || existing.tags || [],
-    notes: data.notes !== undefined ? data.notes : (existing.notes || ''),
-    tweetCount: existing.tweetCount || 0,
-    createdAt: existing.createdAt || new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
+  return withStoreLock(async () => {
+    const tags = await getAuthorTags();
+    const existing = tags[data.handle] || {};
 
-  await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
-  return { success: true, author: tags[data.handle] };
+    tags[data.handle] = {
+      handle: data.handle,
+      displayName: data.displayName || existing.displayName || data.handle,
+      tags: data.tags || existing.tags || [],
+      notes: data.notes !== undefined ? data.notes : (existing.notes || ''),
+      tweetCount: existing.tweetCount || 0,
+      createdAt: existing.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
+    return { success: true, author: tags[data.handle] };
+  });
 }
 
 // Delete author tags
 async function deleteAuthorTag(handle) {
+  return withStoreLock(async () => {
+    const tags = await getAuthorTags();
+    delete tags[handle];
+    await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
+    return { success: true };
+  });
+}
+
+// Update tweet counts for several authors with one write. Call it from
+// inside withStoreLock, so the read-modify-write of the author tags can't
+// interleave with the other locked author updates.
+async function updateAuthorTweetCounts(handles) {
+  const unique = [...new Set(handles.filter(Boolean))];
+  if (unique.length === 0) return;
+
+  const index = await getTweetIndex();
   const tags = await getAuthorTags();
-  delete tags[handle];
+  const now = new Date().toISOString();
+
+  for (const handle of unique) {
+    const ids = index.byAuthor[handle] || [];
+    if (tags[handle]) {
+      tags[handle].tweetCount = ids.length;
+      tags[handle].updatedAt = now;
+    } else if (ids.length > 0) {
+      // Auto-create author entry, as when saving a first tweet
+      const [firstTweet] = await getTweetsByIds(ids.slice(0, 1));
+      tags[handle] = {
+        handle,
+        displayName: firstTweet?.authorDisplayName || handle,
+        tags: [],
+        notes: '',
+        tweetCount: ids.length,
+        createdAt: now,
+        updatedAt: now
+      };
+    }
+  }
+
   await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
-  return { success: true };
+}
+
+// Check a list of author handles from a message
+function validateHandles(handles) {
+  if (!Array.isArray(handles) || handles.length === 0 || handles.some(handle => typeof handle !== 'string')) {
+    return 'handles must be a non-empty array of strings';
+  }
+  return null;
+}
+
+// Delete tags and notes for several authors at once
+async function deleteAuthorTags(handles) {
+  const error = validateHandles(handles);
+  if (error) return { success: false, error };
+
+  return withStoreLock(async () => {
+    const tags = await getAuthorTags();
+    const deleting = new Set(handles.filter(handle => Object.hasOwn(tags, handle)));
+    if (deleting.size === 0) return { success: true, deleted: 0 };
+
+    deleting.forEach(handle => delete tags[handle]);
+    await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
+    return { success: true, deleted: deleting.size };
+  });
+}
+
+// Add and remove tags on several authors at once: { addTags, removeTags }
+async function updateAuthorTags(handles, changes) {
+  const error = validateHandles(handles);
+  if (error) return { success: false, error };
+  for (const field of ['addTags', 'removeTags']) {
+    if (changes[field] !== undefined && (!Array.isArray(changes[field]) || changes[field].some(tag => typeof tag !== 'string'))) {
+      return { success: false, error: `${field} must be an array of strings` };
+    }
+  }
+
+  const removing = new Set((changes.removeTags || []).map(tag => tag.trim().toLowerCase()));
+  const adding = (changes.addTags || []).map(tag => tag.trim()).filter(Boolean);
+
+  return withStoreLock(async () => {
+    const tags = await getAuthorTags();
+    const now = new Date().toISOString();
+
+    handles.forEach(handle => {
+      const existing = tags[handle];
+      if (!existing) return;
+      const next = [...existing.tags];
+      adding.forEach(tag => {
+        if (!next.some(t => t.toLowerCase() === tag.toLowerCase())) next.push(tag);
+      });
+      tags[handle] = {
+        ...existing,
+        tags: next.filter(tag => !removing.has(tag.toLowerCase())),
+        updatedAt: now
+      };
+    });
+
+    await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
+    return { success: true };
+  });
 }
 
 // Get tweets by specific author
 async function getTweetsByAuthor(handle) {
-  const tweets = await getSavedTweets();
-  return tweets.filter(t => t.author === handle);
+  await ensureTweetStore();
+  const index = await getTweetIndex();
+  return getTweetsByIds(index.byAuthor[handle] || []);
 }
 
-// Update author tweet count
-async function updateAuthorTweetCount(handle) {
-  if (!handle) return;
+// Recount tweets for every author in one write, creating missing entries
+async function recountAuthorTweets() {
+  await ensureTweetStore();
 
-  const tweets = await getTweetsByAuthor(handle);
-  const tags = await getAuthorTags();
+  return withStoreLock(async () => {
+    const index = await getTweetIndex();
+    const tags = await getAuthorTags();
+    const now = new Date().toISOString();
+
+    Object.values(tags).forEach(author => {
+      author.tweetCount = (index.byAuthor[author.handle] || []).length;
+    });
+
+    for (const [handle, ids] of Object.entries(index.byAuthor)) {
+      if (tags[handle] || ids.length === 0) continue;
+      const [firstTweet] = await getTweetsByIds([ids[0]]);
+      tags[handle] = {
+        handle,
+        displayName: firstTweet?.authorDisplayName || handle,
+        tags: [],
+        notes: '',
+        tweetCount: ids.length,
+        createdAt: now,
+        updatedAt: now
+      };
+    }
 
-  if (tags[handle]) {
-    tags[handle].tweetCount = tweets.length;
-    tags[handle].updatedAt = new Date().toISOString();
-    await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
-  } else if (tweets.length > 0) {
-    // Auto-create author entry when saving first tweet
-    const firstTweet = tweets[0];
-    tags[handle] = {
-      handle: handle,
-      displayName: firstTweet.authorDisplayName || handle,
-      tags: [],
-      notes: '',
-      tweetCount: tweets.length,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
     await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: tags });
-  }
+  });
 }
 
 // Export author tags to JSON
@@ -150,16 +745,18 @@ async function importAuthorTags(jsonData, merge = true) {
       return { success: false, error: 'Invalid format: missing authorTags' };
     }
 
-    if (merge) {
-      const existing = await getAuthorTags();
-      // Merge: imported data takes precedence for conflicts
-      const merged = { ...existing, ...imported.authorTags };
-      await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: merged });
-      return { success: true, count: Object.keys(imported.authorTags).length, merged: true };
-    } else {
-      await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: imported.authorTags });
-      return { success: true, count: Object.keys(imported.authorTags).length, merged: false };
-    }
+    return await withStoreLock(async () => {
+      if (merge) {
+        const existing = await getAuthorTags();
+        // Merge: imported data takes precedence for conflicts
+        const merged = { ...existing, ...imported.authorTags };
+        await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: merged });
+        return { success: true, count: Object.keys(imported.authorTags).length, merged: true };
+      } else {
+        await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: imported.authorTags });
+        return { success: true, count: Object.keys(imported.authorTags).length, merged: false };
+      }
+    });
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -167,15 +764,19 @@ async function importAuthorTags(jsonData, merge = true) {
 
 // Get stats for popup
 async function getStats() {
-  const tweets = await getSavedTweets();
+  const [tweets, settings] = await Promise.all([getSavedTweets(), getSettings()]);
 
-  // Count tickers
+  // Count tickers, and tweets of each sentiment per ticker
   const tickerCounts = {};
   const authorCounts = {};
+  const sentiment = {};
 
   tweets.forEach(tweet => {
+    const labels = getTweetSentiment(tweet, settings.tickers);
     tweet.tickers.forEach(ticker => {
       tickerCounts[ticker] = (tickerCounts[ticker] || 0) + 1;
+      sentiment[ticker] = sentiment[ticker] || { bullish: 0, bearish: 0, neutral: 0, net: 0 };
+      sentiment[ticker][labels[ticker]]++;
     });
     if (tweet.author) {
       authorCounts[tweet.author] = (authorCounts[tweet.author] || 0) + 1;
@@ -185,28 +786,48 @@ async function getStats() {
   // Sort and get top items
   const topTickers = Object.entries(tickerCounts)
     .sort((a, b) => b[1] - a[1])
-    .slice(0, 5);
+    .slice(0, settings.popup.topTickers);
 
   const topAuthors = Object.entries(authorCounts)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5);
 
+  // Net sentiment: bullish minus bearish tweets
+  Object.values(sentiment).forEach(counts => {
+    counts.net = counts.bullish - counts.bearish;
+  });
+
   return {
     totalTweets: tweets.length,
     totalTickers: Object.keys(tickerCounts).length,
     topTickers,
     topAuthors,
-    recentTweets: tweets.slice(0, 3)
+    sentiment,
+    recentTweets: tweets.slice(0, settings.popup.recentTweets)
   };
 }
 
+// Image path for exports, which land in the downloads folder next to the archive
+function getExportImagePath(tweet, imgUrl) {
+  const archived = tweet.archive?.images.find(img => img.url === imgUrl && img.status === 'complete');
+  return archived ? `${tweet.archive.folder}/${archived.file}` : imgUrl;
+}
+
 // Export tweets to markdown
-function exportToMarkdown(tweets) {
+function exportToMarkdown(tweets, settings) {
   let markdown = '# Saved Tweets\n\n';
   markdown += `Exported on ${new Date().toLocaleString()}\n\n`;
   markdown += `Total tweets: ${tweets.length}\n`;
   markdown += `Actionable trades: ${tweets.filter(t => t.actionable).length}\n\n---\n\n`;
 
+  if (settings && settings.useTemplateForExport) {
+    tweets.forEach(tweet => {
+      markdown += renderTemplate(settings.template, getTemplateValues(tweet, url => getExportImagePath(tweet, url)));
+      markdown += `\n\n---\n\n`;
+    });
+    return markdown;
+  }
+
   tweets.forEach(tweet => {
     markdown += `## @${tweet.author}`;
     if (tweet.actionable) {
@@ -217,11 +838,35 @@ function exportToMarkdown(tweets) {
     if (tweet.tweetedAt) {
       markdown += `**Tweeted:** ${new Date(tweet.tweetedAt).toLocaleString()}\n`;
     }
+    if (tweet.tags?.length > 0) {
+      markdown += `**Tags:** ${tweet.tags.join(', ')}\n`;
+    }
+    if (tweet.collections?.length > 0) {
+      markdown += `**Collections:** ${tweet.collections.join(', ')}\n`;
+    }
     markdown += `**Saved:** ${new Date(tweet.savedAt).toLocaleString()}\n\n`;
-    markdown += `> ${tweet.text.split('\n').join('\n> ')}\n\n`;
+    if (tweet.thread) {
+      if (tweet.thread.parent) {
+        markdown += `*Replying to @${tweet.thread.parent.author}:*\n\n`;
+        markdown += `> ${tweet.thread.parent.text.split('\n').join('\n> ')}\n\n`;
+      }
+      tweet.thread.posts.forEach((post, index) => {
+        markdown += `**${index + 1}/${tweet.thread.posts.length}**\n\n`;
+        markdown += `> ${post.text.split('\n').join('\n> ')}\n\n`;
+      });
+    } else {
+      markdown += `> ${tweet.text.split('\n').join('\n> ')}\n\n`;
+    }
+    if (tweet.quotedTweet) {
+      markdown += `*Quoting @${tweet.quotedTweet.author}:*\n\n`;
+      markdown += `> > ${tweet.quotedTweet.text.split('\n').join('\n> > ')}\n\n`;
+    }
+    if (tweet.card && tweet.card.url) {
+      markdown += `**Link:** [${tweet.card.title || tweet.card.domain || tweet.card.url}](${tweet.card.url})\n\n`;
+    }
     if (tweet.images && tweet.images.length > 0) {
       tweet.images.forEach((imgUrl, index) => {
-        markdown += `![Image ${index + 1}](${imgUrl})\n\n`;
+        markdown += `![Image ${index + 1}](${getExportImagePath(tweet, imgUrl)})\n\n`;
       });
     }
     if (tweet.comment) {
@@ -234,77 +879,1681 @@ function exportToMarkdown(tweets) {
   return markdown;
 }
 
-// Message handler
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  const handleMessage = async () => {
-    switch (message.type) {
-      case 'SAVE_TWEET':
-        return await addTweet(message.data);
+// Spreadsheet and JSON Export Functions
+//
+// CSV and XLSX exports have one row per tweet-ticker pair (tweets without
+// tickers get a single row), with the columns the user picked from
+// EXPORT_COLUMNS. Column values get the tweet, the row's ticker and the
+// ticker settings. JSON exports are the stored records as-is.
 
-      case 'GET_TWEETS':
-        return { tweets: await getSavedTweets() };
+const EXPORT_COLUMNS = {
+  id: { label: 'Tweet ID', value: tweet => tweet.id },
+  url: { label: 'URL', value: tweet => tweet.url },
+  author: { label: 'Author', value: tweet => tweet.author },
+  authorDisplayName: { label: 'Display Name', value: tweet => tweet.authorDisplayName || '' },
+  ticker: { label: 'Ticker', value: (tweet, ticker) => ticker || '' },
+  tickers: { label: 'All Tickers', value: tweet => tweet.tickers.join(' ') },
+  actionable: { label: 'Actionable', type: 'boolean', value: tweet => !!tweet.actionable },
+  sentiment: { label: 'Sentiment', value: (tweet, ticker, tickerSettings) => (ticker ? getTweetSentiment(tweet, tickerSettings)[ticker] : '') },
+  text: { label: 'Text', value: tweet => tweet.text },
+  comment: { label: 'Note', value: tweet => tweet.comment || '' },
+  tags: { label: 'Tags', value: tweet => (tweet.tags || []).join(', ') },
+  collections: { label: 'Collections', value: tweet => (tweet.collections || []).join(', ') },
+  tweetedAt: { label: 'Tweeted At', value: tweet => tweet.tweetedAt || '' },
+  savedAt: { label: 'Saved At', value: tweet => tweet.savedAt },
+  priceAtTweet: { label: 'Price at Tweet', type: 'number', value: (tweet, ticker) => getSnapshotPrice(tweet, ticker, 'atTweet') },
+  priceAtSave: { label: 'Price at Save', type: 'number', value: (tweet, ticker) => getSnapshotPrice(tweet, ticker, 'atSave') },
+  latestPrice: { label: 'Latest Price', type: 'number', value: (tweet, ticker) => getSnapshotPrice(tweet, ticker, 'latest') }
+};
 
-      case 'DELETE_TWEET':
-        return await deleteTweet(message.tweetId);
+const DEFAULT_EXPORT_COLUMNS = ['savedAt', 'author', 'ticker', 'actionable', 'text', 'comment', 'url'];
 
-      case 'GET_STATS':
-        return await getStats();
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
 
-      case 'EXPORT_MARKDOWN':
-        const tweets = await getSavedTweets();
-        return { markdown: exportToMarkdown(tweets) };
-
-      case 'DOWNLOAD_MARKDOWN':
-        try {
-          // Use data URL instead of blob URL (blob URLs don't work in service workers)
-          const dataUrl = 'data:text/markdown;base64,' + btoa(unescape(encodeURIComponent(message.markdown)));
-          await chrome.downloads.download({
-            url: dataUrl,
-            filename: message.filename,
-            saveAs: false
-          });
-          return { success: true };
-        } catch (error) {
-          console.error('Download error:', error);
-          return { success: false, error: error.message };
-        }
+// Stored price for one ticker of a tweet, or null
+function getSnapshotPrice(tweet, ticker, point) {
+  return tweet.snapshots?.[ticker]?.[point]?.price ?? null;
+}
 
-      // Author tag handlers
-      case 'GET_AUTHOR_TAGS':
-        return { authorTags: await getAuthorTags() };
+// Rows of column values, one per tweet-ticker pair
+function getExportRows(tweets, columnIds, tickerSettings) {
+  const columns = columnIds.map(id => EXPORT_COLUMNS[id]);
+  return tweets.flatMap(tweet => {
+    const tickers = tweet.tickers.length > 0 ? tweet.tickers : [null];
+    return tickers.map(ticker => columns.map(column => column.value(tweet, ticker, tickerSettings)));
+  });
+}
 
-      case 'GET_AUTHOR_TAG':
-        return { author: await getAuthorTag(message.handle) };
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-      case 'SAVE_AUTHOR_TAG':
-        return await saveAuthorTag(message.data);
+// CSV text for a header row and rows of values
+function rowsToCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
 
-      case 'DELETE_AUTHOR_TAG':
-        return await deleteAuthorTag(message.handle);
+// Export tweets to CSV
+function exportToCsv(tweets, columnIds, tickerSettings) {
+  return rowsToCsv(columnIds.map(id => EXPORT_COLUMNS[id].label), getExportRows(tweets, columnIds, tickerSettings));
+}
 
-      case 'GET_TWEETS_BY_AUTHOR':
-        return { tweets: await getTweetsByAuthor(message.handle) };
+// Export tweets to JSON
+function exportToJson(tweets) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    count: tweets.length,
+    tweets
+  }, null, 2);
+}
 
-      case 'EXPORT_AUTHOR_TAGS':
-        const authorTags = await getAuthorTags();
-        return { json: exportAuthorTagsToJson(authorTags) };
+function xmlEscape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+// Spreadsheet column letters for a zero-based index: 0 -> A, 26 -> AA
+function xlsxColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// One worksheet cell; strings are inline so no shared string table is needed
+function xlsxCell(ref, value, type, style = 0) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') {
+    return `<c r="${ref}"${styleAttr}/>`;
+  }
+  if (type === 'number') {
+    return `<c r="${ref}"${styleAttr}><v>${Number(value)}</v></c>`;
+  }
+  if (type === 'boolean') {
+    return `<c r="${ref}" t="b"${styleAttr}><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+// Export tweets to an XLSX workbook with a single sheet, as bytes
+function exportToXlsx(tweets, columnIds, tickerSettings) {
+  const columns = columnIds.map(id => EXPORT_COLUMNS[id]);
+  return rowsToXlsx('Tweets', columns, getExportRows(tweets, columnIds, tickerSettings));
+}
+
+// XLSX workbook bytes with one sheet: a bold, frozen header of column labels,
+// then rows of values typed by their column
+function rowsToXlsx(sheetName, columns, rows) {
+  const sheetRows = [
+    `<row r="1">${columns.map((column, i) => xlsxCell(`${xlsxColumnName(i)}1`, column.label, 'string', 1)).join('')}</row>`,
+    ...rows.map((row, r) => `<row r="${r + 2}">${row.map((value, i) =>
+      xlsxCell(`${xlsxColumnName(i)}${r + 2}`, value, columns[i].type)).join('')}</row>`)
+  ];
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const files = {
+    '[Content_Types].xml': `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+      `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>',
+    'xl/styles.xml': `${xmlHeader}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>',
+    'xl/worksheets/sheet1.xml': `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      '</worksheet>'
+  };
+
+  return createZip(files);
+}
+
+// CRC-32 lookup table for ZIP entries
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build an uncompressed ZIP archive from { path: text } entries
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([path, content]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // stored, no compression
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+// Export saved tweets (all, or just tweetIds) in a format and download the file
+async function exportTweets({ format, tweetIds, columns, filename }) {
+  const type = EXPORT_FORMATS[format];
+  if (!type) {
+    return { success: false, error: `Unknown export format: ${format}` };
+  }
+
+  const columnIds = (Array.isArray(columns) ? columns : DEFAULT_EXPORT_COLUMNS).filter(id => EXPORT_COLUMNS[id]);
+  if ((format === 'csv' || format === 'xlsx') && columnIds.length === 0) {
+    return { success: false, error: 'Choose at least one column' };
+  }
+
+  await ensureTweetStore();
+  const tweets = Array.isArray(tweetIds) ? await getTweetsByIds(tweetIds) : await getSavedTweets();
+  const name = `${filename || `ticker-tracker-export-${new Date().toISOString().split('T')[0]}`}.${type.extension}`;
+
+  switch (format) {
+    case 'markdown':
+      return downloadText(exportToMarkdown(tweets, await getMarkdownSettings()), type.mimeType, name);
+    case 'csv':
+      // Byte order mark so Excel reads the file as UTF-8
+      return downloadText(`\uFEFF${exportToCsv(tweets, columnIds, await getTickerSettings())}`, type.mimeType, name);
+    case 'json':
+      return downloadText(exportToJson(tweets), type.mimeType, name);
+    case 'xlsx':
+      return downloadBytes(exportToXlsx(tweets, columnIds, await getTickerSettings()), type.mimeType, name);
+  }
+}
+
+// Trade Journal Export Functions
+//
+// One row per actionable tweet with its journal details (see lib/journal.js).
+// Open trades are marked at the latest stored price for their ticker.
+
+const JOURNAL_EXPORT_COLUMNS = {
+  ticker: { label: 'Ticker', value: entry => entry.ticker },
+  direction: { label: 'Direction', value: entry => entry.direction },
+  status: { label: 'Status', value: entry => entry.status },
+  entryDate: { label: 'Entry Date', value: entry => entry.entryDate || '' },
+  entryPrice: { label: 'Entry Price', type: 'number', value: entry => entry.entryPrice },
+  exitDate: { label: 'Exit Date', value: entry => entry.exitDate || '' },
+  exitPrice: { label: 'Exit Price', type: 'number', value: entry => entry.exitPrice },
+  size: { label: 'Size', type: 'number', value: entry => entry.size },
+  markPrice: { label: 'Latest Price', type: 'number', value: entry => entry.markPrice },
+  pnlPercent: { label: 'P&L %', type: 'number', value: entry => entry.pnl ? Number(entry.pnl.percent.toFixed(2)) : null },
+  pnlAmount: { label: 'P&L', type: 'number', value: entry => entry.pnl?.amount !== null && entry.pnl?.amount !== undefined ? Number(entry.pnl.amount.toFixed(2)) : null },
+  realized: { label: 'Realized', type: 'boolean', value: entry => !!entry.pnl?.realized },
+  author: { label: 'Author', value: entry => entry.author },
+  savedAt: { label: 'Saved At', value: entry => entry.savedAt },
+  comment: { label: 'Note', value: entry => entry.comment },
+  url: { label: 'Tweet URL', value: entry => entry.url },
+  tweetId: { label: 'Tweet ID', value: entry => entry.tweetId }
+};
+
+// Journal entries for the actionable tweets, by ticker then newest save first
+function getJournalExportEntries(tweets) {
+  return tweets
+    .filter(tweet => tweet.actionable)
+    .map(tweet => {
+      const entry = getJournalEntry(tweet);
+      const markPrice = entry.ticker ? getSnapshotPrice(tweet, entry.ticker, 'latest') : null;
+      return {
+        ...entry,
+        markPrice,
+        pnl: getJournalPnl(entry, markPrice),
+        tweetId: tweet.id,
+        author: tweet.author,
+        url: tweet.url,
+        savedAt: tweet.savedAt,
+        comment: tweet.comment || ''
+      };
+    })
+    .sort((a, b) => a.ticker.localeCompare(b.ticker) || new Date(b.savedAt) - new Date(a.savedAt));
+}
+
+// Export the trade journal as CSV, XLSX or JSON and download the file
+async function exportJournal({ format, filename }) {
+  const type = EXPORT_FORMATS[format];
+  if (!type || format === 'markdown') {
+    return { success: false, error: `Unknown journal export format: ${format}` };
+  }
+
+  await ensureTweetStore();
+  const entries = getJournalExportEntries(await getSavedTweets());
+  const columns = Object.values(JOURNAL_EXPORT_COLUMNS);
+  const rows = entries.map(entry => columns.map(column => column.value(entry)));
+  const name = `${filename || `ticker-tracker-journal-${new Date().toISOString().split('T')[0]}`}.${type.extension}`;
+
+  switch (format) {
+    case 'csv':
+      return downloadText(`\uFEFF${rowsToCsv(columns.map(column => column.label), rows)}`, type.mimeType, name);
+    case 'json':
+      return downloadText(JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        count: entries.length,
+        entries
+      }, null, 2), type.mimeType, name);
+    case 'xlsx':
+      return downloadBytes(rowsToXlsx('Journal', columns, rows), type.mimeType, name);
+  }
+}
+
+// Quote Functions
+//
+// Quotes come from a chain of providers: the configured primary provider
+// (normally the local yfinance server from TICKER_HANDOFF.md) and an optional
+// fallback. Results are cached in storage.local for the configured TTL.
+
+const QUOTE_CACHE_KEY = 'quoteCache';
+const QUOTE_CACHE_MAX_ENTRIES = 200;
+const QUOTE_FETCH_TIMEOUT_MS = 8000;
+
+// Each provider resolves to a normalized quote, or null when it has no data
+// for the symbol. Network failures throw, which marks the source as offline.
+// fetchHistory resolves to [{ time (ms), close }] bars, oldest first.
+const QUOTE_PROVIDERS = {
+  local: {
+    name: 'Local quote server',
+    fetchQuote: fetchQuoteFromLocalServer,
+    fetchHistory: fetchHistoryFromLocalServer
+  },
+  yahoo: {
+    name: 'Yahoo Finance (no market cap)',
+    fetchQuote: fetchQuoteFromYahoo,
+    fetchHistory: fetchHistoryFromYahoo
+  }
+};
+
+// Quote source settings
+async function getQuoteSettings() {
+  return (await getSettings()).quotes;
+}
+
+// fetch() with a timeout so a hung server doesn't leave the card loading
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), QUOTE_FETCH_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Local yfinance server (see TICKER_HANDOFF.md)
+async function fetchQuoteFromLocalServer(symbol, settings) {
+  const response = await fetchWithTimeout(`${settings.baseUrl}/quote/${encodeURIComponent(symbol)}`, {
+    headers: { 'Accept': 'application/json' }
+  });
+
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  if (data.error || data.price === null || data.price === undefined) return null;
+
+  return {
+    symbol: data.symbol || symbol,
+    name: data.name || symbol,
+    price: data.price,
+    previousClose: data.previousClose ?? null,
+    change: data.performance?.['1D'] ?? null,
+    currency: data.currency || 'USD',
+    marketCap: data.marketCap ?? null
+  };
+}
+
+// Yahoo v8 chart API - price and daily change only, no market cap
+async function fetchQuoteFromYahoo(symbol) {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&range=1d`;
+  const response = await fetchWithTimeout(url, {
+    headers: { 'Accept': 'application/json' }
+  });
+
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  const meta = data.chart?.result?.[0]?.meta;
+  if (!meta || meta.regularMarketPrice === undefined) return null;
+
+  const previousClose = meta.previousClose ?? meta.chartPreviousClose ?? null;
+  const change = previousClose
+    ? ((meta.regularMarketPrice - previousClose) / previousClose) * 100
+    : null;
+
+  return {
+    symbol: meta.symbol || symbol,
+    name: meta.shortName || meta.longName || symbol,
+    price: meta.regularMarketPrice,
+    previousClose,
+    change,
+    currency: meta.currency || 'USD',
+    marketCap: null
+  };
+}
+
+// Local server history endpoint: /history/<symbol>?start=&end=&interval=
+async function fetchHistoryFromLocalServer(symbol, start, end, interval, settings) {
+  const params = new URLSearchParams({
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    interval
+  });
+  const response = await fetchWithTimeout(`${settings.baseUrl}/history/${encodeURIComponent(symbol)}?${params}`, {
+    headers: { 'Accept': 'application/json' }
+  });
+
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  if (data.error || !Array.isArray(data.prices)) return null;
+
+  return data.prices
+    .map(bar => ({ time: Date.parse(bar.time), close: bar.close }))
+    .filter(bar => !isNaN(bar.time));
+}
+
+// Yahoo v8 chart API over an explicit period
+async function fetchHistoryFromYahoo(symbol, start, end, interval) {
+  const params = new URLSearchParams({
+    period1: Math.floor(start / 1000),
+    period2: Math.floor(end / 1000),
+    interval
+  });
+  const response = await fetchWithTimeout(`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${params}`, {
+    headers: { 'Accept': 'application/json' }
+  });
+
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  const result = data.chart?.result?.[0];
+  const timestamps = result?.timestamp;
+  const closes = result?.indicators?.quote?.[0]?.close;
+  if (!timestamps || !closes) return null;
+
+  return timestamps.map((ts, i) => ({ time: ts * 1000, close: closes[i] ?? null }));
+}
+
+async function getQuoteCache() {
+  const result = await chrome.storage.local.get(QUOTE_CACHE_KEY);
+  return result[QUOTE_CACHE_KEY] || {};
+}
+
+async function saveQuoteCache(cache) {
+  const entries = Object.entries(cache);
+  if (entries.length > QUOTE_CACHE_MAX_ENTRIES) {
+    entries.sort((a, b) => b[1].timestamp - a[1].timestamp);
+    cache = Object.fromEntries(entries.slice(0, QUOTE_CACHE_MAX_ENTRIES));
+  }
+  await chrome.storage.local.set({ [QUOTE_CACHE_KEY]: cache });
+}
+
+// Get a quote for a symbol.
+// Resolves to { status: 'ok' | 'offline' | 'unavailable', symbol, quote?, source?, sourceName?, fetchedAt? }.
+// 'offline' means no provider could be reached; a stale cached quote is
+// included when one exists so the card still has something to show.
+async function getQuote(symbol) {
+  symbol = String(symbol || '').toUpperCase();
+  if (!symbol) {
+    return { status: 'unavailable', symbol, error: 'No symbol' };
+  }
+
+  const settings = await getQuoteSettings();
+  const cache = await getQuoteCache();
+  const cached = cache[symbol];
+  const ttlMs = settings.cacheTtlMinutes * 60 * 1000;
+
+  if (cached && Date.now() - cached.timestamp < ttlMs) {
+    return {
+      status: 'ok',
+      symbol,
+      quote: cached.quote,
+      source: cached.source,
+      sourceName: QUOTE_PROVIDERS[cached.source]?.name,
+      fetchedAt: cached.timestamp,
+      cached: true
+    };
+  }
+
+  const chain = [...new Set([settings.provider, settings.fallbackProvider])]
+    .filter(id => QUOTE_PROVIDERS[id]);
+
+  let reachedProvider = false;
+  let lastError = null;
+
+  for (const providerId of chain) {
+    try {
+      const quote = await QUOTE_PROVIDERS[providerId].fetchQuote(symbol, settings);
+      reachedProvider = true;
+      if (quote) {
+        cache[symbol] = { quote, source: providerId, timestamp: Date.now() };
+        await saveQuoteCache(cache);
+        return {
+          status: 'ok',
+          symbol,
+          quote,
+          source: providerId,
+          sourceName: QUOTE_PROVIDERS[providerId].name,
+          fetchedAt: cache[symbol].timestamp,
+          cached: false
+        };
+      }
+    } catch (error) {
+      lastError = error;
+      console.log(`Quote provider ${providerId} failed for ${symbol}:`, error.message);
+    }
+  }
+
+  if (!reachedProvider) {
+    return {
+      status: 'offline',
+      symbol,
+      error: lastError ? lastError.message : 'No quote provider configured',
+      quote: cached ? cached.quote : null,
+      source: cached ? cached.source : null,
+      fetchedAt: cached ? cached.timestamp : null
+    };
+  }
+
+  return { status: 'unavailable', symbol, error: `No quote data for ${symbol}` };
+}
+
+// Provider IDs and display names for settings UIs
+function getQuoteProviderNames() {
+  return Object.fromEntries(
+    Object.entries(QUOTE_PROVIDERS).map(([id, provider]) => [id, provider.name])
+  );
+}
+
+// Check whether the local server (the configured one unless baseUrl is given)
+// answers its health endpoint
+async function testQuoteSource(baseUrl) {
+  const settings = await getQuoteSettings();
+  try {
+    const response = await fetchWithTimeout(`${baseUrl || settings.baseUrl}/health`, {
+      headers: { 'Accept': 'application/json' }
+    });
+    return { success: response.ok, status: response.status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Price Snapshot Functions
+//
+// Saved tweets carry a `snapshots` map keyed by ticker:
+//   { atTweet: { price, time, source }, atSave: {...}, latest: {...} }
+// atTweet comes from price history around tweetedAt, atSave and latest from
+// live quotes. Any of them may be missing when the quote source is down.
+
+const HOURLY_HISTORY_MAX_AGE_DAYS = 59; // Hourly bars only go back ~60 days
+const HISTORY_LOOKBACK_DAYS = 5; // Covers weekends and holidays before the tweet
+
+// Find the close at or just before a point in time
+async function getPriceAt(symbol, isoTime) {
+  const target = Date.parse(isoTime);
+  if (isNaN(target)) return null;
+
+  const settings = await getQuoteSettings();
+  const ageDays = (Date.now() - target) / 86400000;
+  const interval = ageDays < HOURLY_HISTORY_MAX_AGE_DAYS ? '1h' : '1d';
+  const start = target - HISTORY_LOOKBACK_DAYS * 86400000;
+  const end = Math.min(Date.now(), target + 86400000);
+
+  const chain = [...new Set([settings.provider, settings.fallbackProvider])]
+    .filter(id => QUOTE_PROVIDERS[id]?.fetchHistory);
+
+  for (const providerId of chain) {
+    try {
+      const bars = await QUOTE_PROVIDERS[providerId].fetchHistory(symbol, start, end, interval, settings);
+      const before = (bars || []).filter(bar => bar.time <= target && bar.close !== null);
+      if (before.length > 0) {
+        const bar = before[before.length - 1];
+        return { price: bar.close, time: new Date(bar.time).toISOString(), source: providerId };
+      }
+    } catch (error) {
+      console.log(`History provider ${providerId} failed for ${symbol}:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+// Closes between start and end (ms) for the dashboard's ticker chart, from
+// the local quote server only. Hourly bars when the range is recent enough.
+async function getPriceHistory(symbol, start, end = Date.now()) {
+  const ticker = normalizeTickerSymbol(symbol || '');
+  if (!ticker || !Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+    return { success: false, error: 'Invalid symbol or range' };
+  }
+
+  const settings = await getQuoteSettings();
+  if (settings.provider !== 'local' && settings.fallbackProvider !== 'local') {
+    return { success: false, configured: false, error: 'No local quote server configured' };
+  }
+
+  const ageDays = (Date.now() - start) / 86400000;
+  const interval = ageDays < HOURLY_HISTORY_MAX_AGE_DAYS ? '1h' : '1d';
+  try {
+    const bars = (await QUOTE_PROVIDERS.local.fetchHistory(ticker, start, end, interval, settings) || [])
+      .filter(bar => bar.close !== null && bar.close !== undefined);
+    if (bars.length === 0) {
+      return { success: false, configured: true, error: `No price history for ${ticker}` };
+    }
+    return { success: true, interval, bars };
+  } catch (error) {
+    return { success: false, configured: true, error: `Local quote server unavailable: ${error.message}` };
+  }
+}
+
+// Current price as a snapshot entry
+async function getCurrentPriceSnapshot(symbol) {
+  const response = await getQuote(symbol);
+  if (response.status !== 'ok') return null;
+  return {
+    price: response.quote.price,
+    time: new Date(response.fetchedAt).toISOString(),
+    source: response.source
+  };
+}
+
+// Fill in missing snapshots for a tweet and refresh its latest prices
+async function refreshTweetSnapshots(tweet, { includeLatest = true } = {}) {
+  const snapshots = { ...(tweet.snapshots || {}) };
+
+  for (const ticker of tweet.tickers || []) {
+    const entry = { ...(snapshots[ticker] || {}) };
+    const current = await getCurrentPriceSnapshot(ticker);
+
+    if (!entry.atSave && current) {
+      entry.atSave = current;
+    }
+    if (!entry.atTweet && tweet.tweetedAt) {
+      entry.atTweet = await getPriceAt(ticker, tweet.tweetedAt);
+    }
+    if (includeLatest && current) {
+      entry.latest = current;
+    }
+
+    snapshots[ticker] = entry;
+  }
+
+  return snapshots;
+}
+
+// Capture snapshots right after a save
+async function captureTweetSnapshots(tweetId) {
+  const tweet = await getTweet(tweetId);
+  if (!tweet || !tweet.tickers || tweet.tickers.length === 0) return;
+
+  const snapshots = await refreshTweetSnapshots(tweet, { includeLatest: false });
+  await updateTweetRecord(tweetId, stored => ({ ...stored, snapshots }));
+}
+
+// Refresh latest prices (and backfill missing snapshots) for some tweets
+async function refreshTweetPrices(tweetIds) {
+  await ensureTweetStore();
+  const tweets = await getTweetsByIds(tweetIds);
+  const updated = [];
+
+  for (const tweet of tweets) {
+    if (!tweet.tickers || tweet.tickers.length === 0) continue;
+    const snapshots = await refreshTweetSnapshots(tweet);
+    const saved = await updateTweetRecord(tweet.id, stored => ({ ...stored, snapshots }));
+    if (saved) updated.push(saved);
+  }
+
+  return { success: true, tweets: updated };
+}
+
+// Author Scoring Functions
+//
+// Actionable tweets are scored by the move from the price at the tweet to the
+// price 1 day, 1 week and 1 month later. Horizon prices are stored on the
+// tweet's snapshots once the horizon has passed, so scoring itself never
+// touches the network.
+
+const SCORE_HORIZONS = [
+  { key: '1d', days: 1 },
+  { key: '1w', days: 7 },
+  { key: '1m', days: 30 }
+];
+
+// Fetch horizon prices that have come due for one tweet
+async function refreshHorizonSnapshots(tweet) {
+  const baseTime = Date.parse(tweet.tweetedAt || tweet.savedAt);
+  const snapshots = { ...(tweet.snapshots || {}) };
+  let changed = false;
+
+  for (const ticker of tweet.tickers || []) {
+    const entry = { ...(snapshots[ticker] || {}) };
+    const horizons = { ...(entry.horizons || {}) };
+
+    if (!entry.atTweet && tweet.tweetedAt) {
+      entry.atTweet = await getPriceAt(ticker, tweet.tweetedAt);
+      changed = changed || !!entry.atTweet;
+    }
+
+    for (const { key, days } of SCORE_HORIZONS) {
+      const due = baseTime + days * 86400000;
+      if (horizons[key] || due > Date.now()) continue;
+      const snapshot = await getPriceAt(ticker, new Date(due).toISOString());
+      if (snapshot) {
+        horizons[key] = snapshot;
+        changed = true;
+      }
+    }
+
+    snapshots[ticker] = { ...entry, horizons };
+  }
+
+  return changed ? snapshots : null;
+}
+
+// Percent return per horizon for one ticker of a tweet
+function getCallReturns(tweet, ticker) {
+  const snapshot = tweet.snapshots?.[ticker];
+  const base = snapshot?.atTweet || snapshot?.atSave;
+  if (!base || !base.price) return null;
+
+  const returns = {};
+  SCORE_HORIZONS.forEach(({ key }) => {
+    const horizon = snapshot.horizons?.[key];
+    if (horizon && horizon.price) {
+      returns[key] = ((horizon.price - base.price) / base.price) * 100;
+    }
+  });
+  return returns;
+}
+
+// Score a set of tweets from one author.
+// A call counts as a hit when it is up at the longest horizon that has passed.
+function computeAuthorScore(tweets) {
+  const calls = [];
+
+  tweets.filter(t => t.actionable).forEach(tweet => {
+    (tweet.tickers || []).forEach(ticker => {
+      const returns = getCallReturns(tweet, ticker);
+      if (returns && Object.keys(returns).length > 0) {
+        calls.push({ tweetId: tweet.id, ticker, tweetedAt: tweet.tweetedAt, returns });
+      }
+    });
+  });
+
+  const average = key => {
+    const values = calls.map(c => c.returns[key]).filter(v => v !== undefined);
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  };
+  const finalReturn = call => {
+    for (let i = SCORE_HORIZONS.length - 1; i >= 0; i--) {
+      const value = call.returns[SCORE_HORIZONS[i].key];
+      if (value !== undefined) return value;
+    }
+    return null;
+  };
+
+  const ranked = calls
+    .map(call => ({ ...call, finalReturn: finalReturn(call) }))
+    .sort((a, b) => b.finalReturn - a.finalReturn);
+
+  return {
+    actionableCount: tweets.filter(t => t.actionable).length,
+    scoredCalls: ranked.length,
+    hitRate: ranked.length > 0 ? ranked.filter(c => c.finalReturn > 0).length / ranked.length : null,
+    avgReturn: Object.fromEntries(SCORE_HORIZONS.map(({ key }) => [key, average(key)])),
+    best: ranked[0] || null,
+    worst: ranked.length > 1 ? ranked[ranked.length - 1] : null
+  };
+}
+
+// Scores for every author with actionable tweets
+async function getAuthorScores() {
+  const tweets = await getSavedTweets();
+  const byAuthor = {};
+
+  tweets.forEach(tweet => {
+    if (!tweet.author || !tweet.actionable) return;
+    byAuthor[tweet.author] = byAuthor[tweet.author] || [];
+    byAuthor[tweet.author].push(tweet);
+  });
+
+  return Object.fromEntries(
+    Object.entries(byAuthor).map(([handle, authorTweets]) => [handle, computeAuthorScore(authorTweets)])
+  );
+}
+
+// Score for a single author
+async function getAuthorScore(handle) {
+  const tweets = await getTweetsByAuthor(handle);
+  return computeAuthorScore(tweets);
+}
+
+// Fetch any horizon prices that have come due, then rescore
+async function refreshAuthorScores() {
+  const tweets = await getSavedTweets();
+
+  for (const tweet of tweets.filter(t => t.actionable && t.tickers?.length > 0)) {
+    const snapshots = await refreshHorizonSnapshots(tweet);
+    if (snapshots) {
+      await updateTweetRecord(tweet.id, stored => ({ ...stored, snapshots }));
+    }
+  }
+
+  return { success: true, scores: await getAuthorScores() };
+}
+
+// Watchlist Functions
+//
+// Tweets on x.com that mention a watchlisted symbol are reported by
+// content.js and kept in storage.session, so the list lasts for the browser
+// session. The action badge shows how many have been seen.
+
+const WATCHLIST_MATCHES_KEY = 'watchlistMatches';
+const WATCHLIST_MATCHES_MAX = 100;
+
+// Add a symbol to the watchlist
+async function addToWatchlist(symbol) {
+  const normalized = normalizeTickerSymbol(symbol);
+  if (!/^[A-Z0-9.]+$/.test(normalized)) {
+    return { success: false, error: 'Invalid ticker' };
+  }
+
+  const watchlist = await getStoredWatchlist();
+  if (!watchlist.includes(normalized)) {
+    watchlist.push(normalized);
+    watchlist.sort();
+    await chrome.storage.local.set({ [WATCHLIST_KEY]: watchlist });
+  }
+  return { success: true, watchlist };
+}
+
+// Remove a symbol from the watchlist
+async function removeFromWatchlist(symbol) {
+  const normalized = normalizeTickerSymbol(symbol);
+  const watchlist = (await getStoredWatchlist()).filter(s => s !== normalized);
+  await chrome.storage.local.set({ [WATCHLIST_KEY]: watchlist });
+  return { success: true, watchlist };
+}
+
+// Matching tweets seen this session, newest first, flagged when already saved
+async function getWatchlistMatches() {
+  const [result, index] = await Promise.all([
+    chrome.storage.session.get(WATCHLIST_MATCHES_KEY),
+    getTweetIndex()
+  ]);
+  const savedIds = new Set(index.ids);
+  return (result[WATCHLIST_MATCHES_KEY] || []).map(match => ({ ...match, saved: savedIds.has(match.id) }));
+}
+
+// Remember a matching tweet (tweetData as built by content.js)
+async function recordWatchlistMatch(tweetData, symbols) {
+  return withStoreLock(async () => {
+    const result = await chrome.storage.session.get(WATCHLIST_MATCHES_KEY);
+    const matches = result[WATCHLIST_MATCHES_KEY] || [];
+    if (matches.some(match => match.id === tweetData.id)) {
+      return { success: true, count: matches.length };
+    }
+
+    matches.unshift({ id: tweetData.id, symbols, seenAt: new Date().toISOString(), tweet: tweetData });
+    matches.splice(WATCHLIST_MATCHES_MAX);
+    await chrome.storage.session.set({ [WATCHLIST_MATCHES_KEY]: matches });
+    await updateWatchlistBadge(matches.length);
+    return { success: true, count: matches.length };
+  });
+}
+
+// Save a matching tweet from the popup, as a quick save would
+async function saveWatchlistMatch(tweetId) {
+  const matches = await getWatchlistMatches();
+  const match = matches.find(m => m.id === tweetId);
+  if (!match) {
+    return { success: false, error: 'Tweet is no longer in the watchlist matches' };
+  }
+
+  const result = await addTweet({ ...match.tweet, actionable: false, comment: '' });
+  if (result.success) {
+    captureTweetSnapshots(tweetId).catch(error => console.error('Snapshot capture failed:', error));
+    archiveTweet(tweetId, { automatic: true }).catch(error => console.error('Archive failed:', error));
+  }
+  return result;
+}
+
+// Forget this session's matches
+async function clearWatchlistMatches() {
+  await chrome.storage.session.remove(WATCHLIST_MATCHES_KEY);
+  await updateWatchlistBadge(0);
+  return { success: true };
+}
+
+// Show the match count on the toolbar icon
+async function updateWatchlistBadge(count) {
+  await chrome.action.setBadgeBackgroundColor({ color: '#1d9bf0' });
+  await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+}
+
+// Backup Functions
+//
+// A backup is one JSON document holding every tweet, every author tag, the
+// watchlist and the settings object. Older documents are upgraded on restore; version 1 is the
+// authors-only file from exportAuthorTagsToJson, version 2 stored settings
+// under their pre-1.2.0 keys.
+
+const BACKUP_FORMAT = 'x-tweet-tracker-backup';
+const BACKUP_VERSION = 3;
+
+// Build a full backup document
+async function createBackup() {
+  const [tweets, authorTags, watchlist, settings] = await Promise.all([
+    getSavedTweets(),
+    getAuthorTags(),
+    getStoredWatchlist(),
+    getSettings()
+  ]);
+
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    tweets,
+    authorTags,
+    watchlist,
+    settings
+  }, null, 2);
+}
+
+// Upgrade an older backup document to the current version
+function upgradeBackup(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Backup must be a JSON object');
+  }
+
+  let backup = data;
+  const version = backup.version || 1;
+
+  if (version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${version} is newer than this extension supports`);
+  }
+
+  // v1: authors-only export
+  if (version === 1) {
+    backup = {
+      format: BACKUP_FORMAT,
+      version: 2,
+      exportedAt: backup.exportedAt || null,
+      tweets: [],
+      authorTags: backup.authorTags,
+      settings: {}
+    };
+  }
+
+  // v2: settings under their own storage keys
+  if (backup.version === 2) {
+    backup = {
+      ...backup,
+      version: 3,
+      settings: backup.settings && typeof backup.settings === 'object' ? settingsFromLegacyKeys(backup.settings) : backup.settings
+    };
+  }
+
+  return backup;
+}
+
+// Check every record before anything is written; returns a list of problems
+function validateBackup(backup) {
+  const errors = [];
+
+  if (backup.format !== BACKUP_FORMAT) {
+    errors.push('Not a Tweet Tracker backup');
+  }
+  if (!Array.isArray(backup.tweets)) {
+    errors.push('tweets must be an array');
+  }
+  if (!backup.authorTags || typeof backup.authorTags !== 'object' || Array.isArray(backup.authorTags)) {
+    errors.push('authorTags must be an object');
+  }
+  if (backup.settings && typeof backup.settings !== 'object') {
+    errors.push('settings must be an object');
+  }
+  // Backups made before the watchlist existed don't have one
+  if (backup.watchlist !== undefined && (!Array.isArray(backup.watchlist) || backup.watchlist.some(s => typeof s !== 'string'))) {
+    errors.push('watchlist must be an array of strings');
+  }
+  if (errors.length > 0) return errors;
+
+  const seenIds = new Set();
+  backup.tweets.forEach((tweet, i) => {
+    const label = `tweets[${i}]`;
+    if (!tweet || typeof tweet !== 'object') {
+      errors.push(`${label}: not an object`);
+      return;
+    }
+    if (typeof tweet.id !== 'string' || !tweet.id) {
+      errors.push(`${label}: missing id`);
+    } else if (seenIds.has(tweet.id)) {
+      errors.push(`${label}: duplicate id ${tweet.id}`);
+    } else {
+      seenIds.add(tweet.id);
+    }
+    if (typeof tweet.text !== 'string') {
+      errors.push(`${label}: text must be a string`);
+    }
+    if (!Array.isArray(tweet.tickers) || tweet.tickers.some(t => typeof t !== 'string')) {
+      errors.push(`${label}: tickers must be an array of strings`);
+    }
+    if (tweet.author !== undefined && typeof tweet.author !== 'string') {
+      errors.push(`${label}: author must be a string`);
+    }
+    ['tags', 'collections'].forEach(field => {
+      if (tweet[field] !== undefined && (!Array.isArray(tweet[field]) || tweet[field].some(t => typeof t !== 'string'))) {
+        errors.push(`${label}: ${field} must be an array of strings`);
+      }
+    });
+    if (tweet.sentimentOverrides !== undefined) {
+      const error = validateSentimentOverrides(tweet.sentimentOverrides);
+      if (error) errors.push(`${label}: ${error}`);
+    }
+    if (tweet.journal !== undefined && tweet.journal !== null) {
+      const { error } = validateJournalEntry(tweet.journal);
+      if (error) errors.push(`${label}: ${error}`);
+    }
+    if (isNaN(Date.parse(tweet.savedAt))) {
+      errors.push(`${label}: savedAt is not a valid date`);
+    }
+  });
+
+  Object.entries(backup.authorTags).forEach(([handle, author]) => {
+    const label = `authorTags.${handle}`;
+    if (!author || typeof author !== 'object') {
+      errors.push(`${label}: not an object`);
+      return;
+    }
+    if (author.handle !== handle) {
+      errors.push(`${label}: handle does not match key`);
+    }
+    if (author.tags !== undefined && !Array.isArray(author.tags)) {
+      errors.push(`${label}: tags must be an array`);
+    }
+  });
+
+  Object.keys(backup.settings || {}).forEach(section => {
+    if (!SETTINGS_SCHEMA[section]) {
+      errors.push(`settings.${section}: unknown settings section`);
+    }
+  });
+  Object.entries(validateSettings(backup.settings).errors).forEach(([path, error]) => {
+    errors.push(`settings.${path}: ${error}`);
+  });
+
+  return errors;
+}
+
+// Restore a backup.
+// mode 'merge' keeps local records the backup doesn't have; on conflicts the
+// backup wins, as with importAuthorTags. mode 'replace' makes storage match
+// the backup exactly. With dryRun nothing is written, only the report built.
+async function restoreBackup(json, { mode = 'merge', dryRun = false } = {}) {
+  let backup;
+  let fromVersion;
+  try {
+    const data = JSON.parse(json);
+    fromVersion = data?.version || 1;
+    backup = upgradeBackup(data);
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+
+  const errors = validateBackup(backup);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const [existingTweets, existingAuthors, existingWatchlist, existingSettings] = await Promise.all([
+    getSavedTweets(),
+    getAuthorTags(),
+    getStoredWatchlist(),
+    getSettings()
+  ]);
+  const report = {
+    success: true,
+    mode,
+    dryRun,
+    fromVersion,
+    tweets: { added: 0, updated: 0, unchanged: 0, removed: 0 },
+    authors: { added: 0, updated: 0, unchanged: 0, removed: 0 },
+    watchlist: { added: 0, removed: 0 },
+    settings: Object.keys(backup.settings || {}),
+    conflicts: []
+  };
+
+  // Tweets
+  const tweetsById = new Map(mode === 'replace' ? [] : existingTweets.map(t => [t.id, t]));
+  const existingTweetIds = new Map(existingTweets.map(t => [t.id, t]));
+  backup.tweets.forEach(tweet => {
+    const existing = existingTweetIds.get(tweet.id);
+    if (!existing) {
+      report.tweets.added++;
+    } else if (JSON.stringify(existing) === JSON.stringify(tweet)) {
+      report.tweets.unchanged++;
+    } else {
+      report.tweets.updated++;
+      report.conflicts.push({ type: 'tweet', id: tweet.id, label: `@${tweet.author}`, resolution: 'replaced by backup' });
+    }
+    tweetsById.set(tweet.id, tweet);
+  });
+  if (mode === 'replace') {
+    report.tweets.removed = existingTweets.filter(t => !tweetsById.has(t.id)).length;
+  }
+
+  // Authors
+  const authors = mode === 'replace' ? {} : { ...existingAuthors };
+  Object.entries(backup.authorTags).forEach(([handle, author]) => {
+    const existing = existingAuthors[handle];
+    if (!existing) {
+      report.authors.added++;
+    } else if (JSON.stringify(existing) === JSON.stringify(author)) {
+      report.authors.unchanged++;
+    } else {
+      report.authors.updated++;
+      report.conflicts.push({ type: 'author', id: handle, label: `@${handle}`, resolution: 'replaced by backup' });
+    }
+    authors[handle] = author;
+  });
+  if (mode === 'replace') {
+    report.authors.removed = Object.keys(existingAuthors).filter(h => !authors[h]).length;
+  }
+
+  // Watchlist
+  const backupWatchlist = [...new Set((backup.watchlist || []).map(normalizeTickerSymbol).filter(Boolean))];
+  const watchlist = mode === 'replace'
+    ? backupWatchlist
+    : [...new Set([...existingWatchlist, ...backupWatchlist])];
+  watchlist.sort();
+  report.watchlist.added = watchlist.filter(s => !existingWatchlist.includes(s)).length;
+  report.watchlist.removed = existingWatchlist.filter(s => !watchlist.includes(s)).length;
+
+  if (dryRun) return report;
+
+  // Settings sections in the backup replace the current ones; 'replace'
+  // resets sections the backup doesn't have to their defaults
+  const settings = validateSettings({ ...(mode === 'replace' ? {} : existingSettings), ...(backup.settings || {}) }).settings;
+
+  await writeTweetStore([...tweetsById.values()]);
+  await chrome.storage.local.set({ [AUTHOR_TAGS_KEY]: authors, [WATCHLIST_KEY]: watchlist, [SETTINGS_KEY]: settings });
+  await recountAuthorTweets();
+
+  return report;
+}
+
+// Archive Functions
+//
+// Saving a tweet writes a per-tweet folder (tweet-tracker-tweets/... unless
+// the folder pattern says otherwise) with the tweet's images and a Markdown
+// file that links to them. The outcome of
+// each download is kept on the tweet as `archive`:
+//   { folder, markdown: { file, status }, images: [{ url, file, status, error? }], archivedAt }
+
+const ARCHIVE_ROOT = 'tweet-tracker-tweets';
+const DOWNLOAD_WAIT_TIMEOUT_MS = 60000;
+
+// Local file name for the nth image, using the format X serves it in
+function getImageFileName(imgUrl, index) {
+  const format = new URL(imgUrl).searchParams.get('format') || 'jpg';
+  return `image-${index + 1}.${format}`;
+}
+
+// Resolve once a download finishes: 'complete' or 'interrupted'
+function waitForDownload(downloadId) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => finish('interrupted', 'Timed out'), DOWNLOAD_WAIT_TIMEOUT_MS);
+
+    function finish(state, error) {
+      clearTimeout(timer);
+      chrome.downloads.onChanged.removeListener(onChanged);
+      resolve({ state, error });
+    }
+
+    function onChanged(delta) {
+      if (delta.id !== downloadId || !delta.state) return;
+      if (delta.state.current === 'complete') finish('complete');
+      if (delta.state.current === 'interrupted') finish('interrupted', delta.error?.current);
+    }
+
+    chrome.downloads.onChanged.addListener(onChanged);
+
+    // It may already be done by the time the listener is attached
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item?.state === 'complete') finish('complete');
+      if (item?.state === 'interrupted') finish('interrupted', item.error);
+    });
+  });
+}
+
+// Download one URL into the archive and report how it went
+async function archiveFile(url, filename) {
+  try {
+    const downloadId = await chrome.downloads.download({
+      url,
+      filename,
+      conflictAction: 'overwrite',
+      saveAs: false
+    });
+    const result = await waitForDownload(downloadId);
+    return result.state === 'complete'
+      ? { status: 'complete' }
+      : { status: 'failed', error: result.error || 'Download interrupted' };
+  } catch (error) {
+    return { status: 'failed', error: error.message };
+  }
+}
+
+// Markdown Template Functions
+//
+// Per-tweet Markdown files (and optionally the bulk export) are rendered from
+// a user-editable template (settings.markdown.template). Placeholders look like {{author}}; a block
+// wrapped in {{#name}}...{{/name}} is only kept when name has a value, and
+// {{^name}}...{{/name}} only when it doesn't. Folder and file names use the
+// same placeholders.
+
+const TEMPLATE_PLACEHOLDERS = {
+  id: 'Tweet ID',
+  url: 'Tweet URL',
+  author: 'Author handle',
+  author_display_name: 'Author display name',
+  text: 'Tweet text',
+  text_quoted: 'Tweet text as a blockquote',
+  tickers: '$A, $B or "None"',
+  tickers_plain: 'A-B',
+  tickers_suffix: '_A-B-C (first three), empty without tickers',
+  first_ticker: 'First ticker, or "no-ticker"',
+  actionable: 'Yes / No',
+  is_actionable: 'Set only when actionable (for {{#is_actionable}} blocks)',
+  comment: 'Your note',
+  tags: 'Tweet tags, comma-separated',
+  collections: 'Collections the tweet is in, comma-separated',
+  tweeted_at: 'Tweet time, local format',
+  tweeted_date: 'Tweet date, YYYY-MM-DD',
+  saved_at: 'Save time, local format',
+  saved_date: 'Save date, YYYY-MM-DD',
+  saved_time: 'Save time, HH-MM-SS',
+  conversation: 'Parent tweet and thread posts',
+  quoted_tweet: 'Quoted tweet',
+  link: 'Link card',
+  images: 'Image embeds (local copies when archived)'
+};
+
+// Markdown template and file layout settings
+async function getMarkdownSettings() {
+  return (await getSettings()).markdown;
+}
+
+// Quote every line of text as a Markdown blockquote
+function blockquote(text, prefix = '> ') {
+  return `${prefix}${text.split('\n').join(`\n${prefix}`)}`;
+}
+
+// Placeholder values for a tweet. imagePath maps an image URL to the path
+// the Markdown should use, which differs between per-tweet files and exports.
+function getTemplateValues(tweet, imagePath = url => url) {
+  const savedAt = new Date(tweet.savedAt);
+  const tweetedAt = tweet.tweetedAt ? new Date(tweet.tweetedAt) : null;
+
+  let conversation = '';
+  if (tweet.thread) {
+    const parts = [];
+    if (tweet.thread.parent) {
+      parts.push(`**Replying to @${tweet.thread.parent.author}:**\n\n${blockquote(tweet.thread.parent.text)}`);
+    }
+    tweet.thread.posts.forEach((post, index) => {
+      parts.push(`**${index + 1}/${tweet.thread.posts.length}**${post.id === tweet.id ? ' (saved tweet)' : ''}\n\n${blockquote(post.text)}`);
+    });
+    conversation = parts.join('\n\n');
+  }
+
+  const quoted = tweet.quotedTweet;
+  const card = tweet.card;
+
+  return {
+    id: tweet.id,
+    url: tweet.url,
+    author: tweet.author || '',
+    author_display_name: tweet.authorDisplayName || '',
+    text: tweet.text,
+    text_quoted: blockquote(tweet.text),
+    tickers: tweet.tickers.length > 0 ? tweet.tickers.map(t => `$${t}`).join(', ') : 'None',
+    tickers_plain: tweet.tickers.join('-'),
+    tickers_suffix: tweet.tickers.length > 0 ? `_${tweet.tickers.slice(0, 3).join('-')}` : '',
+    first_ticker: tweet.tickers[0] || 'no-ticker',
+    actionable: tweet.actionable ? 'Yes' : 'No',
+    is_actionable: tweet.actionable ? 'yes' : '',
+    comment: tweet.comment || '',
+    tags: (tweet.tags || []).join(', '),
+    collections: (tweet.collections || []).join(', '),
+    tweeted_at: tweetedAt ? tweetedAt.toLocaleString() : 'Unknown',
+    tweeted_date: tweetedAt ? tweetedAt.toISOString().split('T')[0] : 'unknown-date',
+    saved_at: savedAt.toLocaleString(),
+    saved_date: savedAt.toISOString().split('T')[0],
+    saved_time: savedAt.toTimeString().split(' ')[0].replace(/:/g, '-'),
+    conversation,
+    quoted_tweet: quoted
+      ? `**@${quoted.author}**${quoted.url ? ` ([link](${quoted.url}))` : ''}\n\n${blockquote(quoted.text)}`
+      : '',
+    link: card && card.url ? `[${card.title || card.domain || card.url}](${card.url})` : '',
+    images: (tweet.images || []).map((url, index) => `![Image ${index + 1}](${imagePath(url)})`).join('\n\n')
+  };
+}
+
+// Render a template against placeholder values
+function renderTemplate(template, values) {
+  // Lines holding only a section tag don't leave a blank line behind
+  let output = template.replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm, '$1');
+
+  const sectionRegex = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+  while (sectionRegex.test(output)) {
+    output = output.replace(sectionRegex, (match, kind, name, body) => {
+      const hasValue = !!values[name];
+      return (kind === '#') === hasValue ? body : '';
+    });
+  }
+
+  return output
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? '')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+// YAML front matter for a tweet
+function buildFrontMatter(tweet) {
+  const yamlString = value => JSON.stringify(String(value ?? ''));
+  const lines = [
+    '---',
+    `id: ${yamlString(tweet.id)}`,
+    `url: ${yamlString(tweet.url)}`,
+    `author: ${yamlString(tweet.author)}`,
+    `tickers: [${tweet.tickers.map(yamlString).join(', ')}]`,
+    `tags: [${(tweet.tags || []).map(yamlString).join(', ')}]`,
+    `collections: [${(tweet.collections || []).map(yamlString).join(', ')}]`,
+    `actionable: ${!!tweet.actionable}`,
+    `tweeted: ${yamlString(tweet.tweetedAt)}`,
+    `saved: ${yamlString(tweet.savedAt)}`,
+    '---',
+    ''
+  ];
+  return lines.join('\n');
+}
+
+// Turn a rendered pattern into a safe relative path
+function sanitizePath(path) {
+  return path
+    .split(/[/\\]/)
+    .map(segment => segment.replace(/[<>:"|?*\u0000-\u001f]/g, '_').replace(/^[\s.]+|[\s.]+$/g, ''))
+    .filter(segment => segment)
+    .join('/');
+}
+
+// Folder and Markdown file name for a tweet
+function getArchivePaths(tweet, settings) {
+  const values = getTemplateValues(tweet);
+  const folder = sanitizePath(renderTemplate(settings.folderPattern, values)) || ARCHIVE_ROOT;
+  const filename = sanitizePath(renderTemplate(settings.filenamePattern, values)) || `tweet_${tweet.id}`;
+  return { folder, markdownFile: `${filename.replace(/\.md$/i, '')}.md` };
+}
+
+// Markdown for a single saved tweet; images point at archived copies when present
+function buildTweetMarkdown(tweet, archive, settings) {
+  const imagePath = url => {
+    const archived = archive?.images.find(img => img.url === url && img.status === 'complete');
+    return archived ? archived.file : url;
+  };
+
+  const body = renderTemplate(settings.template, getTemplateValues(tweet, imagePath));
+  return settings.frontMatter ? buildFrontMatter(tweet) + body : body;
+}
+
+// Automatic archives wait until a save can no longer be undone, so an undone
+// save leaves no files behind. Timers are keyed by tweet ID and cancelled when
+// the tweet is deleted. The delay is content.js's UNDO_WINDOW plus time for a
+// late Undo to arrive.
+const AUTO_ARCHIVE_DELAY = 6000;
+const pendingArchives = new Map();
+
+// Archive a just-saved tweet after the undo window, reporting failed images to its tab
+function scheduleArchive(tweetId, tabId) {
+  cancelScheduledArchive(tweetId);
+  pendingArchives.set(tweetId, setTimeout(async () => {
+    pendingArchives.delete(tweetId);
+    try {
+      const result = await archiveTweet(tweetId, { automatic: true });
+      if (result.failedImages > 0 && tabId !== undefined) {
+        chrome.tabs.sendMessage(tabId, { type: 'ARCHIVE_FAILED', failedImages: result.failedImages })
+          .catch(() => {});
+      }
+    } catch (error) {
+      console.error('Automatic archive failed:', error);
+    }
+  }, AUTO_ARCHIVE_DELAY));
+}
+
+function cancelScheduledArchive(tweetId) {
+  clearTimeout(pendingArchives.get(tweetId));
+  pendingArchives.delete(tweetId);
+}
+
+// Download a tweet's images and Markdown into its folder.
+// Images that already archived successfully are not downloaded again.
+async function archiveTweet(tweetId, { automatic = false } = {}) {
+  const tweet = await getTweet(tweetId);
+  if (!tweet) {
+    return { success: false, error: 'Tweet not found' };
+  }
+
+  const settings = await getMarkdownSettings();
+  if (automatic && !settings.autoDownload) {
+    return { success: true, skipped: true };
+  }
+
+  const paths = getArchivePaths(tweet, settings);
+  const folder = tweet.archive?.folder || paths.folder;
+  const previous = tweet.archive?.images || [];
+  const images = [];
+
+  for (const [index, url] of (tweet.images || []).entries()) {
+    const done = previous.find(img => img.url === url && img.status === 'complete');
+    if (done) {
+      images.push(done);
+      continue;
+    }
+    const file = getImageFileName(url, index);
+    images.push({ url, file, ...(await archiveFile(url, `${folder}/${file}`)) });
+  }
+
+  const archive = { folder, images, archivedAt: new Date().toISOString() };
+  const markdownFile = tweet.archive?.markdown?.file || paths.markdownFile;
+  const markdown = buildTweetMarkdown(tweet, archive, settings);
+  const markdownUrl = 'data:text/markdown;base64,' + btoa(unescape(encodeURIComponent(markdown)));
+  archive.markdown = { file: markdownFile, ...(await archiveFile(markdownUrl, `${folder}/${markdownFile}`)) };
+
+  await updateTweetRecord(tweetId, stored => ({ ...stored, archive }));
+
+  const failed = images.filter(img => img.status !== 'complete').length;
+  return {
+    success: archive.markdown.status === 'complete' && failed === 0,
+    archive,
+    failedImages: failed
+  };
+}
+
+// Download text content as a file
+async function downloadText(content, mimeType, filename) {
+  return downloadBase64(btoa(unescape(encodeURIComponent(content))), mimeType, filename);
+}
+
+// Download binary content as a file
+async function downloadBytes(bytes, mimeType, filename) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return downloadBase64(btoa(binary), mimeType, filename);
+}
+
+// Download base64 content as a file
+async function downloadBase64(base64, mimeType, filename) {
+  try {
+    // Use data URL instead of blob URL (blob URLs don't work in service workers)
+    const dataUrl = `data:${mimeType};base64,${base64}`;
+    await chrome.downloads.download({
+      url: dataUrl,
+      filename,
+      saveAs: false
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Download error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Migrate existing tweets and settings as soon as the extension is installed or updated
+chrome.runtime.onInstalled.addListener(() => {
+  ensureTweetStore().catch(error => console.error('Tweet store migration failed:', error));
+  migrateSettings().catch(error => console.error('Settings migration failed:', error));
+});
+
+// Save shortcuts act on the tweet in the active tab, so hand them to its content script
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab?.id) return;
+  chrome.tabs.sendMessage(tab.id, { type: 'RUN_SAVE_SHORTCUT', action: command }).catch(() => {
+    // Not an x.com tab
+  });
+});
+
+// Message handler
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handleMessage = async () => {
+    switch (message.type) {
+      case 'SAVE_TWEET': {
+        const result = await addTweet(message.data);
+        if (result.success) {
+          // Snapshots can take a while when the quote source is slow; don't hold up the save
+          captureTweetSnapshots(message.data.id)
+            .catch(error => console.error('Snapshot capture failed:', error));
+          scheduleArchive(message.data.id, sender.tab?.id);
+        }
+        return result;
+      }
+
+      case 'GET_TWEET_LABELS':
+        return await getTweetLabels();
+
+      case 'GET_TWEETS':
+        return { tweets: await getSavedTweets() };
+
+      case 'UPDATE_TWEET':
+        return await updateTweet(message.tweetId, message.data || {});
+
+      case 'DELETE_TWEET':
+        return await deleteTweet(message.tweetId, { removeAuthor: !!message.removeAuthor });
+
+      case 'DELETE_TWEETS':
+        return await deleteTweets(message.tweetIds);
+
+      case 'UPDATE_TWEETS':
+        return await updateTweets(message.tweetIds, message.data || {});
+
+      case 'GET_STATS':
+        return await getStats();
+
+      case 'GET_EXPORT_COLUMNS':
+        return {
+          columns: Object.fromEntries(Object.entries(EXPORT_COLUMNS).map(([id, column]) => [id, column.label])),
+          defaults: DEFAULT_EXPORT_COLUMNS
+        };
+
+      case 'EXPORT_TWEETS':
+        return await exportTweets(message);
+
+      case 'EXPORT_JOURNAL':
+        return await exportJournal(message);
+
+      case 'ARCHIVE_TWEET':
+        return await archiveTweet(message.tweetId, { automatic: message.automatic });
+
+
+      // Author tag handlers
+      case 'GET_AUTHOR_TAGS':
+        return { authorTags: await getAuthorTags() };
+
+      case 'GET_AUTHOR_TAG':
+        return { author: await getAuthorTag(message.handle) };
+
+      case 'SAVE_AUTHOR_TAG':
+        return await saveAuthorTag(message.data);
+
+      case 'DELETE_AUTHOR_TAG':
+        return await deleteAuthorTag(message.handle);
+
+      case 'GET_TWEETS_BY_AUTHOR':
+        return { tweets: await getTweetsByAuthor(message.handle) };
+
+      case 'EXPORT_AUTHOR_TAGS': {
+        const authorTags = await getAuthorTags();
+        // Only the given handles when exporting a selection
+        const selected = Array.isArray(message.handles)
+          ? Object.fromEntries(message.handles.filter(handle => authorTags[handle]).map(handle => [handle, authorTags[handle]]))
+          : authorTags;
+        return { json: exportAuthorTagsToJson(selected) };
+      }
+
+      case 'DELETE_AUTHOR_TAGS':
+        return await deleteAuthorTags(message.handles);
+
+      case 'UPDATE_AUTHOR_TAGS':
+        return await updateAuthorTags(message.handles, message.data || {});
 
       case 'IMPORT_AUTHOR_TAGS':
         return await importAuthorTags(message.json, message.merge !== false);
 
       case 'DOWNLOAD_AUTHOR_TAGS':
-        try {
-          const jsonDataUrl = 'data:application/json;base64,' + btoa(unescape(encodeURIComponent(message.json)));
-          await chrome.downloads.download({
-            url: jsonDataUrl,
-            filename: message.filename,
-            saveAs: false
-          });
-          return { success: true };
-        } catch (error) {
-          console.error('Download error:', error);
-          return { success: false, error: error.message };
-        }
+        return await downloadText(message.json, 'application/json', message.filename);
+
+      // Backup handlers
+      case 'DOWNLOAD_BACKUP':
+        return await downloadText(await createBackup(), 'application/json', message.filename);
+
+      case 'RESTORE_BACKUP':
+        return await restoreBackup(message.json, { mode: message.mode, dryRun: message.dryRun });
+
+      // Watchlist handlers
+      case 'GET_WATCHLIST':
+        return { watchlist: await getStoredWatchlist(), matches: await getWatchlistMatches() };
+
+      case 'ADD_TO_WATCHLIST':
+        return await addToWatchlist(message.symbol);
+
+      case 'REMOVE_FROM_WATCHLIST':
+        return await removeFromWatchlist(message.symbol);
+
+      case 'WATCHLIST_MATCH':
+        return await recordWatchlistMatch(message.data, message.symbols);
+
+      case 'SAVE_WATCHLIST_MATCH':
+        return await saveWatchlistMatch(message.tweetId);
+
+      case 'CLEAR_WATCHLIST_MATCHES':
+        return await clearWatchlistMatches();
+
+      // Settings handlers
+      case 'GET_SETTINGS':
+        return {
+          settings: await getSettings(),
+          providers: getQuoteProviderNames(),
+          placeholders: TEMPLATE_PLACEHOLDERS
+        };
+
+      case 'SAVE_SETTINGS':
+        return await saveSettings(message.data || {});
+
+      case 'REPARSE_TICKERS':
+        return await reparseTweetTickers();
+
+      // Quote handlers
+      case 'GET_QUOTE':
+        return await getQuote(message.symbol);
+
+      case 'TEST_QUOTE_SOURCE':
+        return await testQuoteSource(message.baseUrl);
+
+      case 'REFRESH_TWEET_PRICES':
+        return await refreshTweetPrices(message.tweetIds || []);
+
+      case 'GET_PRICE_HISTORY':
+        return await getPriceHistory(message.symbol, message.start, message.end);
+
+      // Author scoring handlers
+      case 'GET_AUTHOR_SCORES':
+        return { scores: await getAuthorScores() };
+
+      case 'GET_AUTHOR_SCORE':
+        return { score: await getAuthorScore(message.handle) };
+
+      case 'REFRESH_AUTHOR_SCORES':
+        return await refreshAuthorScores();
 
       default:
         return { error: 'Unknown message type' };
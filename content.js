@@ -1,18 +1,96 @@
 // X Tweet Tracker - Content Script
 // Injects save buttons into tweets for documentation
 
-const TICKER_REGEX = /\$([A-Z]{1,5})\b/g;
 const PROCESSED_ATTR = 'data-ticker-tracker-processed';
+const CASHTAGS_ATTR = 'data-ticker-tracker-cashtags';
+const HOVER_CARD_SHOW_DELAY = 300;
+const HOVER_CARD_HIDE_DELAY = 200;
+const NOTIFICATION_DURATION = 2000;
+const UNDO_WINDOW = 5000;
+const TWEET_SELECTOR = 'article[data-testid="tweet"]';
+
+// In-page hotkeys, used with Shift; the same actions are chrome.commands
+// shortcuts (see manifest.json)
+const HOTKEYS = {
+  KeyS: 'quick-save',
+  KeyA: 'quick-save-actionable',
+  KeyM: 'open-save-modal'
+};
+
+// Extension settings (see lib/settings.js)
+let settings = validateSettings().settings;
 
 // Modal state
 let saveModal = null;
 let currentTweetData = null;
 
-// Extract tickers from text
-function extractTickers(text) {
-  const matches = text.match(TICKER_REGEX);
-  if (!matches) return [];
-  return [...new Set(matches.map(m => m.slice(1)))]; // Remove $ and dedupe
+// Watchlist symbols, and tweet IDs already reported as matches
+let watchlist = new Set();
+const reportedMatches = new Set();
+
+// Author tags by handle, cached from storage (see lib/authors.js)
+let authorTags = {};
+
+// Tweet tags and collections in use, refreshed when the save modal opens
+let tweetLabels = { tags: [], collections: [] };
+
+// IDs of saved tweets, kept current from storage (see lib/tweets.js)
+let savedTweetIds = new Set();
+
+// Tweet under the mouse, for shortcuts
+let hoveredTweet = null;
+
+// Author card state
+let authorCard = null;
+let authorCardShowTimeout = null;
+let authorCardHideTimeout = null;
+
+// Quote card state
+let quoteCard = null;
+let quoteCardSymbol = null;
+let quoteCardShowTimeout = null;
+let quoteCardHideTimeout = null;
+
+// Load settings, and follow changes from the options page
+async function loadSettings() {
+  settings = await getStoredSettings();
+
+  onSettingsChanged(next => {
+    settings = next;
+    if (!settings.general.showQuoteCards) {
+      hideQuoteCard();
+    }
+  });
+}
+
+// Load the watchlist, and re-highlight tweets when it changes
+async function loadWatchlist() {
+  watchlist = new Set(await getStoredWatchlist());
+
+  onWatchlistChanged(symbols => {
+    watchlist = new Set(symbols);
+    document.querySelectorAll(TWEET_SELECTOR).forEach(highlightWatchlist);
+  });
+}
+
+// Load author tags, and refresh the inline badges when they change
+async function loadAuthorTags() {
+  authorTags = await getStoredAuthorTags();
+
+  onAuthorTagsChanged(tags => {
+    authorTags = tags;
+    document.querySelectorAll(TWEET_SELECTOR).forEach(renderAuthorBadge);
+  });
+}
+
+// Load saved tweet IDs, and update the save buttons when tweets are saved or deleted
+async function loadSavedTweetIds() {
+  savedTweetIds = new Set(await getStoredTweetIds());
+
+  onTweetIdsChanged(ids => {
+    savedTweetIds = new Set(ids);
+    document.querySelectorAll('.ticker-tracker-save-btn').forEach(updateSaveButton);
+  });
 }
 
 // Create save modal
@@ -22,7 +100,7 @@ function createSaveModal() {
   modal.innerHTML = `
     <div class="ticker-tracker-modal">
       <div class="ticker-modal-header">
-        <h3>Save Tweet</h3>
+        <h3 class="ticker-modal-title">Save Tweet</h3>
         <button class="ticker-modal-close">&times;</button>
       </div>
       <div class="ticker-modal-preview">
@@ -60,6 +138,10 @@ function createSaveModal() {
               <textarea id="ticker-author-notes" placeholder="e.g., Known for accurate biotech predictions"></textarea>
             </div>
           </div>
+          <div class="ticker-author-track-record">
+            <span class="ticker-author-label">Track Record:</span>
+            <div class="ticker-author-score-display"></div>
+          </div>
           <div class="ticker-author-previous-tweets">
             <span class="ticker-author-label">Previous Tweets (<span class="prev-tweet-count">0</span>):</span>
             <div class="ticker-author-tweets-list"></div>
@@ -72,10 +154,27 @@ function createSaveModal() {
           <span class="checkmark"></span>
           Actionable Trade
         </label>
+        <label class="ticker-modal-checkbox-label ticker-modal-thread-label">
+          <input type="checkbox" id="ticker-thread-checkbox">
+          <span class="checkmark"></span>
+          Save thread <span class="ticker-thread-summary"></span>
+        </label>
         <div class="ticker-modal-comment-group">
           <label for="ticker-comment">Comment (optional)</label>
           <textarea id="ticker-comment" placeholder="Add your notes about this tweet..."></textarea>
         </div>
+        <div class="ticker-modal-labels">
+          <div class="ticker-author-input-group">
+            <label for="ticker-tweet-tags">Tweet tags</label>
+            <input type="text" id="ticker-tweet-tags" list="ticker-tweet-tags-list" autocomplete="off" placeholder="e.g., earnings play, to research">
+            <datalist id="ticker-tweet-tags-list"></datalist>
+          </div>
+          <div class="ticker-author-input-group">
+            <label for="ticker-tweet-collections">Collections</label>
+            <input type="text" id="ticker-tweet-collections" list="ticker-tweet-collections-list" autocomplete="off" placeholder="e.g., short thesis">
+            <datalist id="ticker-tweet-collections-list"></datalist>
+          </div>
+        </div>
       </div>
       <div class="ticker-modal-footer">
         <button class="ticker-modal-btn ticker-modal-cancel">Cancel</button>
@@ -96,6 +195,17 @@ function createSaveModal() {
   // Save button handler
   modal.querySelector('.ticker-modal-save').addEventListener('click', handleModalSave);
 
+  // Autocomplete the label being typed from labels already in use
+  [['#ticker-tweet-tags', '#ticker-tweet-tags-list', 'tags'], ['#ticker-tweet-collections', '#ticker-tweet-collections-list', 'collections']]
+    .forEach(([inputSelector, listSelector, field]) => {
+      const input = modal.querySelector(inputSelector);
+      input.addEventListener('input', () => {
+        const known = tweetLabels[field].map(label => label.name);
+        modal.querySelector(listSelector).innerHTML = completeTweetLabels(input.value, known)
+          .map(value => `<option value="${escapeHtml(value)}"></option>`).join('');
+      });
+    });
+
   // Author section toggle
   modal.querySelector('.ticker-author-toggle').addEventListener('click', () => {
     const section = modal.querySelector('.ticker-modal-author-section');
@@ -121,11 +231,13 @@ function getSaveModal() {
   return saveModal;
 }
 
-// Show save modal
-async function showSaveModal(tweetData, button) {
-  currentTweetData = { ...tweetData, saveButton: button };
+// Show save modal; with savedTweet, edit that stored record instead of saving a new one
+async function showSaveModal(tweetData, button, thread = null, savedTweet = null) {
+  currentTweetData = { ...tweetData, saveButton: button, threadContext: thread, savedTweet };
 
   const modal = getSaveModal();
+  modal.querySelector('.ticker-modal-title').textContent = savedTweet ? 'Edit Saved Tweet' : 'Save Tweet';
+  modal.querySelector('.ticker-modal-save').textContent = savedTweet ? 'Update Tweet' : 'Save Tweet';
 
   // Populate preview
   modal.querySelector('.ticker-modal-author').textContent = `@${tweetData.author}`;
@@ -136,13 +248,31 @@ async function showSaveModal(tweetData, button) {
     ? tweetData.tickers.map(t => `<span class="ticker-tag">$${t}</span>`).join('')
     : '<span class="no-tickers">No tickers detected</span>';
 
-  // Reset form
-  modal.querySelector('#ticker-actionable-checkbox').checked = false;
-  modal.querySelector('#ticker-comment').value = '';
+  // Reset form, or fill it from the stored record
+  modal.querySelector('#ticker-actionable-checkbox').checked = !!savedTweet?.actionable;
+  modal.querySelector('#ticker-comment').value = savedTweet?.comment || '';
+  modal.querySelector('#ticker-tweet-tags').value = (savedTweet?.tags || []).join(', ');
+  modal.querySelector('#ticker-tweet-collections').value = (savedTweet?.collections || []).join(', ');
+  chrome.runtime.sendMessage({ type: 'GET_TWEET_LABELS' })
+    .then(labels => {
+      if (labels) tweetLabels = labels;
+    })
+    .catch(error => console.error('Error fetching tweet labels:', error));
+
+  // Thread option only when there is conversation around a tweet not yet saved
+  const threadLabel = modal.querySelector('.ticker-modal-thread-label');
+  modal.querySelector('#ticker-thread-checkbox').checked = false;
+  threadLabel.style.display = thread && !savedTweet ? 'flex' : 'none';
+  if (thread) {
+    const parts = [`${thread.posts.length} post${thread.posts.length !== 1 ? 's' : ''}`];
+    if (thread.parent) parts.push(`reply to @${thread.parent.author}`);
+    threadLabel.querySelector('.ticker-thread-summary').textContent = `(${parts.join(', ')})`;
+  }
 
   // Reset author section
   modal.querySelector('.ticker-author-tags-display').innerHTML = '<span class="no-data">No tags yet</span>';
   modal.querySelector('.ticker-author-notes-display').innerHTML = '<span class="no-data">No notes yet</span>';
+  modal.querySelector('.ticker-author-score-display').innerHTML = '<span class="no-data">No scored calls yet</span>';
   modal.querySelector('.ticker-author-tweets-list').innerHTML = '';
   modal.querySelector('.prev-tweet-count').textContent = '0';
   modal.querySelector('#ticker-author-tags').value = '';
@@ -151,9 +281,10 @@ async function showSaveModal(tweetData, button) {
   // Fetch author data and previous tweets
   if (tweetData.author) {
     try {
-      const [authorResponse, tweetsResponse] = await Promise.all([
+      const [authorResponse, tweetsResponse, scoreResponse] = await Promise.all([
         chrome.runtime.sendMessage({ type: 'GET_AUTHOR_TAG', handle: tweetData.author }),
-        chrome.runtime.sendMessage({ type: 'GET_TWEETS_BY_AUTHOR', handle: tweetData.author })
+        chrome.runtime.sendMessage({ type: 'GET_TWEETS_BY_AUTHOR', handle: tweetData.author }),
+        chrome.runtime.sendMessage({ type: 'GET_AUTHOR_SCORE', handle: tweetData.author })
       ]);
 
       // Populate existing author tags
@@ -172,6 +303,11 @@ async function showSaveModal(tweetData, button) {
         }
       }
 
+      // Populate track record
+      if (scoreResponse?.score?.scoredCalls > 0) {
+        modal.querySelector('.ticker-author-score-display').innerHTML = renderAuthorScore(scoreResponse.score);
+      }
+
       // Populate previous tweets
       if (tweetsResponse?.tweets && tweetsResponse.tweets.length > 0) {
         const prevTweets = tweetsResponse.tweets.slice(0, 5);
@@ -196,6 +332,29 @@ async function showSaveModal(tweetData, button) {
   modal.querySelector('#ticker-comment').focus();
 }
 
+// Summarize an author's scored calls
+function renderAuthorScore(score) {
+  const metric = (label, value) => `
+    <span class="ticker-score-metric">${label}
+      <strong class="${value > 0 ? 'positive' : value < 0 ? 'negative' : ''}">${escapeHtml(formatChange(value))}</strong>
+    </span>
+  `;
+
+  return `
+    <div class="ticker-score-metrics">
+      <span class="ticker-score-metric"><strong>${score.scoredCalls}</strong> calls</span>
+      <span class="ticker-score-metric"><strong>${Math.round(score.hitRate * 100)}%</strong> hits</span>
+      ${metric('1D', score.avgReturn['1d'])}
+      ${metric('1W', score.avgReturn['1w'])}
+      ${metric('1M', score.avgReturn['1m'])}
+    </div>
+    <div class="ticker-score-calls">
+      ${score.best ? `<span>Best: $${escapeHtml(score.best.ticker)} ${escapeHtml(formatChange(score.best.finalReturn))}</span>` : ''}
+      ${score.worst ? `<span>Worst: $${escapeHtml(score.worst.ticker)} ${escapeHtml(formatChange(score.worst.finalReturn))}</span>` : ''}
+    </div>
+  `;
+}
+
 // Escape HTML for display
 function escapeHtml(text) {
   const div = document.createElement('div');
@@ -227,61 +386,6 @@ function closeSaveModal() {
   currentTweetData = null;
 }
 
-// Generate and download markdown file to subfolder
-function downloadMarkdown(tweetData) {
-  const now = new Date();
-  const captureDateFormatted = now.toLocaleString();
-
-  const tweetTimeFormatted = tweetData.tweetedAt
-    ? new Date(tweetData.tweetedAt).toLocaleString()
-    : 'Unknown';
-
-  let markdown = `# Saved Tweet\n\n`;
-  markdown += `## Metadata\n`;
-  markdown += `- **Captured:** ${captureDateFormatted}\n`;
-  markdown += `- **Tweet Time:** ${tweetTimeFormatted}\n`;
-  markdown += `- **Author:** @${tweetData.author}`;
-  if (tweetData.authorDisplayName) {
-    markdown += ` (${tweetData.authorDisplayName})`;
-  }
-  markdown += `\n`;
-  markdown += `- **Tickers:** ${tweetData.tickers.length > 0 ? tweetData.tickers.map(t => `$${t}`).join(', ') : 'None'}\n`;
-  markdown += `- **Actionable Trade:** ${tweetData.actionable ? 'Yes' : 'No'}\n`;
-  markdown += `- **URL:** ${tweetData.url}\n`;
-  markdown += `\n`;
-
-  markdown += `## Tweet Content\n\n`;
-  markdown += `> ${tweetData.text.split('\n').join('\n> ')}\n\n`;
-
-  if (tweetData.images && tweetData.images.length > 0) {
-    markdown += `## Images\n\n`;
-    tweetData.images.forEach((imgUrl, index) => {
-      markdown += `![Image ${index + 1}](${imgUrl})\n\n`;
-    });
-  }
-
-  if (tweetData.comment) {
-    markdown += `## Notes\n\n`;
-    markdown += `${tweetData.comment}\n\n`;
-  }
-
-  markdown += `---\n`;
-  markdown += `*Saved with X Tweet Tracker*\n`;
-
-  // Generate filename with subfolder
-  const dateStr = now.toISOString().split('T')[0];
-  const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-');
-  const tickerStr = tweetData.tickers.length > 0 ? `_${tweetData.tickers.slice(0, 3).join('-')}` : '';
-  const filename = `tweet-tracker-tweets/tweet_${tweetData.author}${tickerStr}_${dateStr}_${timeStr}.md`;
-
-  // Send to background script for download
-  chrome.runtime.sendMessage({
-    type: 'DOWNLOAD_MARKDOWN',
-    markdown: markdown,
-    filename: filename
-  });
-}
-
 // Handle modal save button
 async function handleModalSave() {
   if (!currentTweetData) return;
@@ -298,38 +402,60 @@ async function handleModalSave() {
     ? authorTagsInput.split(',').map(t => t.trim()).filter(t => t)
     : [];
 
+  const tags = parseTweetLabels(modal.querySelector('#ticker-tweet-tags').value);
+  const collections = parseTweetLabels(modal.querySelector('#ticker-tweet-collections').value);
+
+  const saveThread = modal.querySelector('#ticker-thread-checkbox').checked;
+  const savedTweet = currentTweetData.savedTweet;
+
+  if (savedTweet) {
+    const tweetData = currentTweetData;
+    closeSaveModal();
+    await updateSavedTweet(tweetData, { actionable, comment, tags, collections }, { authorTags, authorNotes });
+    return;
+  }
+
   // Add form data to tweet data
   const tweetDataWithComments = {
     ...currentTweetData,
     actionable,
-    comment
+    comment,
+    tags,
+    collections
   };
   delete tweetDataWithComments.saveButton;
+  delete tweetDataWithComments.threadContext;
+  delete tweetDataWithComments.savedTweet;
+
+  // The author's own cashtags anywhere in the thread count toward the record
+  if (saveThread && currentTweetData.threadContext) {
+    const thread = currentTweetData.threadContext;
+    tweetDataWithComments.thread = thread;
+    tweetDataWithComments.tickers = [...new Set(thread.posts.flatMap(post => post.tickers))];
+  }
 
   // Close modal
   closeSaveModal();
 
+  await saveTweet(tweetDataWithComments, button, { authorTags, authorNotes });
+}
+
+// Save a tweet and archive it, updating the save button and showing the result
+async function saveTweet(tweetData, button, { authorTags = [], authorNotes = '' } = {}) {
   if (button) {
     button.classList.add('saving');
   }
 
   try {
-    // Save author tags if any were entered
-    if (currentTweetData.author && (authorTags.length > 0 || authorNotes)) {
-      await chrome.runtime.sendMessage({
-        type: 'SAVE_AUTHOR_TAG',
-        data: {
-          handle: currentTweetData.author,
-          displayName: currentTweetData.authorDisplayName,
-          tags: authorTags,
-          notes: authorNotes
-        }
-      });
-    }
+    // An author entry this save creates goes again if the save is undone
+    const authorIsNew = !!tweetData.author &&
+      !(await chrome.runtime.sendMessage({ type: 'GET_AUTHOR_TAG', handle: tweetData.author }))?.author;
+
+    await saveAuthorTag(tweetData, authorTags, authorNotes);
 
     const response = await chrome.runtime.sendMessage({
       type: 'SAVE_TWEET',
-      data: tweetDataWithComments
+      data: tweetData
     });
 
     if (!response) {
@@ -341,15 +467,19 @@ async function handleModalSave() {
         button.classList.remove('saving');
         button.classList.add('saved');
       }
-      // Download markdown file
-      downloadMarkdown(tweetDataWithComments);
-      showNotification(`Saved! Tickers: ${tweetDataWithComments.tickers.length > 0 ? tweetDataWithComments.tickers.join(', ') : 'None detected'}`, 'success');
+
+      // The background archives the tweet once the undo window has passed,
+      // unless Undo deletes it first
+      showNotification(`Saved! Tickers: ${tweetData.tickers.length > 0 ? tweetData.tickers.join(', ') : 'None detected'}`, 'success', {
+        label: 'Undo',
+        onClick: () => undoSave(tweetData.id, button, authorIsNew)
+      });
     } else if (response.duplicate) {
       if (button) {
         button.classList.remove('saving');
         button.classList.add('saved');
       }
-      showNotification('Tweet already saved', 'info');
+      await editSavedTweet(tweetData, button);
     } else if (response.error) {
       if (button) {
         button.classList.remove('saving');
@@ -370,14 +500,211 @@ async function handleModalSave() {
   }
 }
 
+// Save author tags and notes if any were entered
+async function saveAuthorTag(tweetData, authorTags, authorNotes) {
+  if (!tweetData.author || (authorTags.length === 0 && !authorNotes)) return;
+
+  await chrome.runtime.sendMessage({
+    type: 'SAVE_AUTHOR_TAG',
+    data: {
+      handle: tweetData.author,
+      displayName: tweetData.authorDisplayName,
+      tags: authorTags,
+      notes: authorNotes
+    }
+  });
+}
+
+// Update the note and actionable flag of a saved tweet from the modal
+async function updateSavedTweet(tweetData, changes, { authorTags = [], authorNotes = '' } = {}) {
+  try {
+    await saveAuthorTag(tweetData, authorTags, authorNotes);
+
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_TWEET', tweetId: tweetData.id, data: changes });
+    if (response?.success) {
+      showNotification('Saved tweet updated', 'success');
+    } else {
+      showNotification(`Failed: ${response?.error || 'could not update tweet'}`, 'error');
+    }
+  } catch (error) {
+    showNotification('Error updating tweet', 'error');
+    console.error('Tweet Tracker:', error);
+  }
+}
+
+// Delete a tweet that was just saved, and the author entry the save created
+async function undoSave(tweetId, button, removeAuthor = false) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'DELETE_TWEET', tweetId, removeAuthor });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from background script');
+    }
+    if (button) {
+      button.classList.remove('saved');
+    }
+    showNotification('Save undone', 'info');
+  } catch (error) {
+    showNotification('Could not undo save', 'error');
+    console.error('Tweet Tracker:', error);
+  }
+}
+
+// Open the edit modal on an already saved tweet, so saving it again never
+// overwrites its note or actionable flag with blank values
+async function editSavedTweet(tweetData, button) {
+  const savedTweet = await getStoredTweet(tweetData.id);
+  if (!savedTweet) {
+    showNotification('Tweet already saved', 'info');
+    return;
+  }
+  showSaveModal(tweetData, button, null, savedTweet);
+}
+
+// Tweet Entity Functions
+
+// Visible link text, minus the ellipsis X adds to long URLs
+function getExpandedUrl(anchor) {
+  return anchor.textContent.replace(/…$/, '');
+}
+
+// Read a tweetText element into plain text plus an ordered entity list.
+// Emoji images become their alt text and t.co links their expanded URL.
+function parseTweetText(textElement) {
+  let text = '';
+  const entities = [];
+
+  const walk = node => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.textContent;
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+      if (child.nodeName === 'IMG') {
+        text += child.getAttribute('alt') || '';
+        return;
+      }
+
+      if (child.nodeName === 'A') {
+        const href = child.getAttribute('href') || '';
+        const linkText = child.textContent;
+
+        if (/^https?:\/\//.test(href)) {
+          const expandedUrl = getExpandedUrl(child);
+          entities.push({ type: 'url', start: text.length, text: expandedUrl, url: href, expandedUrl });
+          text += expandedUrl;
+          return;
+        }
+        if (href.startsWith('/hashtag/')) {
+          entities.push({ type: 'hashtag', start: text.length, text: linkText, value: linkText.replace(/^#/, '') });
+        } else if (linkText.startsWith('@')) {
+          entities.push({ type: 'mention', start: text.length, text: linkText, value: linkText.slice(1) });
+        }
+      }
+
+      walk(child);
+    });
+  };
+
+  walk(textElement);
+
+  // Cashtags go through the shared parser so aliases and the ignore list apply
+  findCashtags(text, settings.tickers).forEach(cashtag => {
+    entities.push({ type: 'cashtag', start: cashtag.index, text: cashtag.text, value: cashtag.symbol });
+  });
+  entities.sort((a, b) => a.start - b.start);
+
+  return { text, entities };
+}
+
+// The tweet's own text element; quoted tweets sit inside a role="link" block
+function getMainTextElement(article) {
+  const textElements = [...article.querySelectorAll('[data-testid="tweetText"]')];
+  return textElements.find(el => !el.closest('div[role="link"]')) || textElements[0] || null;
+}
+
+// Quoted tweet embedded in an article, if any
+function extractQuotedTweet(article, mainTextElement) {
+  const quoteText = [...article.querySelectorAll('[data-testid="tweetText"]')]
+    .find(el => el !== mainTextElement && el.closest('div[role="link"]'));
+  if (!quoteText) return null;
+
+  const container = quoteText.closest('div[role="link"]');
+  const { text, entities } = parseTweetText(quoteText);
+
+  let author = '';
+  let authorDisplayName = '';
+  const userName = container.querySelector('[data-testid="User-Name"]');
+  if (userName) {
+    const handleSpan = [...userName.querySelectorAll('span')].find(span => span.textContent.startsWith('@'));
+    author = handleSpan ? handleSpan.textContent.slice(1) : '';
+    authorDisplayName = userName.querySelector('span')?.textContent || '';
+  }
+
+  let id = '';
+  let url = '';
+  const statusLink = container.querySelector('a[href*="/status/"]');
+  const statusMatch = statusLink?.getAttribute('href').match(/^\/([^/]+)\/status\/(\d+)/);
+  if (statusMatch) {
+    author = author || statusMatch[1];
+    id = statusMatch[2];
+    url = `https://x.com/${statusMatch[1]}/status/${id}`;
+  }
+
+  return {
+    id,
+    url,
+    author,
+    authorDisplayName,
+    text,
+    entities,
+    tickers: extractTickers(text, settings.tickers),
+    tweetedAt: container.querySelector('time')?.getAttribute('datetime') || null
+  };
+}
+
+// Link preview card: target, domain and title
+function extractLinkCard(article) {
+  const card = article.querySelector('[data-testid="card.wrapper"]');
+  if (!card) return null;
+
+  const link = card.querySelector('a[href]');
+  const texts = [...new Set([...card.querySelectorAll('span')]
+    .filter(span => span.children.length === 0)
+    .map(span => span.textContent.trim())
+    .filter(t => t))];
+
+  const domainText = texts.find(t => /^(From )?[\w-]+(\.[\w-]+)+$/.test(t));
+  const title = texts
+    .filter(t => t !== domainText)
+    .sort((a, b) => b.length - a.length)[0] || '';
+
+  return {
+    url: link ? link.getAttribute('href') : '',
+    domain: domainText ? domainText.replace(/^From /, '') : '',
+    title
+  };
+}
+
+// Status ID from the tweet's timestamp link, the same one getTweetData reads
+// first, or '' when it has none
+function getPermalinkId(tweetElement) {
+  const href = tweetElement.querySelector('time')?.closest('a')?.getAttribute('href') || '';
+  return href.match(/\/status\/(\d+)/)?.[1] || '';
+}
+
 // Get tweet data from a tweet element
 function getTweetData(tweetElement) {
   // Find the tweet article
-  const article = tweetElement.closest('article[data-testid="tweet"]') || tweetElement;
+  const article = tweetElement.closest(TWEET_SELECTOR) || tweetElement;
 
-  // Get tweet text
-  const tweetTextElement = article.querySelector('[data-testid="tweetText"]');
-  const text = tweetTextElement ? tweetTextElement.textContent : '';
+  // Get tweet text and entities
+  const tweetTextElement = getMainTextElement(article);
+  const { text, entities } = tweetTextElement
+    ? parseTweetText(tweetTextElement)
+    : { text: '', entities: [] };
+  const quotedTweet = extractQuotedTweet(article, tweetTextElement);
 
   // Get author info
   const userNameElement = article.querySelector('[data-testid="User-Name"]');
@@ -385,13 +712,7 @@ function getTweetData(tweetElement) {
   let authorDisplayName = '';
 
   if (userNameElement) {
-    const links = userNameElement.querySelectorAll('a');
-    links.forEach(link => {
-      const href = link.getAttribute('href');
-      if (href && href.startsWith('/') && !href.includes('/status/')) {
-        author = href.slice(1); // Remove leading /
-      }
-    });
+    author = getAuthorHandle(userNameElement);
 
     const displayNameSpan = userNameElement.querySelector('span');
     if (displayNameSpan) {
@@ -474,7 +795,11 @@ function getTweetData(tweetElement) {
     }
   }
 
-  const tickers = extractTickers(text);
+  // Cashtags in a quoted tweet count toward this tweet's tickers
+  const tickers = [...new Set([
+    ...extractTickers(text, settings.tickers),
+    ...(quotedTweet ? quotedTweet.tickers : [])
+  ])];
 
   // Extract image URLs from tweet
   const images = [];
@@ -498,12 +823,101 @@ function getTweetData(tweetElement) {
     author,
     authorDisplayName,
     tickers,
+    entities,
+    quotedTweet,
+    card: extractLinkCard(article),
     images,
     tweetedAt,
     savedAt: new Date().toISOString()
   };
 }
 
+// Thread Capture Functions
+
+// Fields kept for each tweet in a captured conversation
+function toThreadEntry(tweetData) {
+  return {
+    id: tweetData.id,
+    url: tweetData.url,
+    author: tweetData.author,
+    authorDisplayName: tweetData.authorDisplayName,
+    text: tweetData.text,
+    tickers: tweetData.tickers,
+    quotedTweet: tweetData.quotedTweet,
+    images: tweetData.images,
+    tweetedAt: tweetData.tweetedAt
+  };
+}
+
+// Handle from X's "Replying to @handle" line, or null when the tweet has none.
+// Links in the text or in a quoted tweet are mentions, not the reply target.
+function getReplyingToHandle(article) {
+  const link = [...article.querySelectorAll('a[href^="/"]')].find(a =>
+    a.textContent.startsWith('@') &&
+    !a.closest('[data-testid="tweetText"], [data-testid="User-Name"], div[role="link"]') &&
+    a.parentElement?.closest('div')?.textContent.trim().startsWith('Replying to')
+  );
+  return link ? link.getAttribute('href').slice(1) : null;
+}
+
+// On a status page, collect the author's consecutive tweets around this one
+// and the tweet they reply to. Only tweets X has already rendered are seen.
+function collectThread(tweetElement, tweetData) {
+  const focalId = window.location.pathname.match(/\/status\/(\d+)/)?.[1];
+  if (!focalId || !tweetData.author) return null;
+
+  const article = tweetElement.closest(TWEET_SELECTOR) || tweetElement;
+  const articles = [...document.querySelectorAll(TWEET_SELECTOR)];
+  const position = articles.indexOf(article);
+  const focal = articles.findIndex(el => getTweetData(el).id === focalId);
+  if (position === -1 || focal === -1) return null;
+
+  const readArticle = el => {
+    const data = getTweetData(el);
+    return data.id ? data : null;
+  };
+
+  // Above the focal tweet X shows the conversation it replies to, each tweet
+  // answering the one before. Below it are replies whose neighbours are often
+  // unrelated, so neither walk crosses the focal tweet into the other section.
+  const first = position > focal ? focal + 1 : 0;
+  const last = position < focal ? focal : articles.length - 1;
+
+  // Walk back through the author's earlier self-replies
+  const earlier = [];
+  let i = position - 1;
+  for (; i >= first; i--) {
+    const data = readArticle(articles[i]);
+    if (!data || data.author !== tweetData.author) break;
+    earlier.unshift(data);
+  }
+
+  // In the conversation chain the tweet above the author's first post is its
+  // parent. Among the replies only the focal tweet is, unless X's "Replying
+  // to" line names the neighbour's author.
+  let parent = i >= 0 ? readArticle(articles[i]) : null;
+  const replyingTo = getReplyingToHandle(articles[i + 1]);
+  const trusted = replyingTo
+    ? parent?.author.toLowerCase() === replyingTo.toLowerCase()
+    : i <= focal;
+  if (!trusted) parent = null;
+
+  // Walk forward through the author's consecutive self-replies
+  const later = [];
+  for (let j = position + 1; j <= last; j++) {
+    const data = readArticle(articles[j]);
+    if (!data || data.author !== tweetData.author) break;
+    later.push(data);
+  }
+
+  if (!parent && earlier.length === 0 && later.length === 0) return null;
+
+  return {
+    parent: parent ? toThreadEntry(parent) : null,
+    posts: [...earlier, tweetData, ...later].map(toThreadEntry)
+  };
+}
+
 // Create save button
 function createSaveButton(tweetElement) {
   const button = document.createElement('button');
@@ -513,28 +927,113 @@ function createSaveButton(tweetElement) {
       <path fill="currentColor" d="M17 3H7c-1.1 0-2 .9-2 2v16l7-3 7 3V5c0-1.1-.9-2-2-2z"/>
     </svg>
   `;
-  button.title = 'Save to Tweet Tracker';
+  button.dataset.tweetId = getTweetData(tweetElement).id || '';
+  updateSaveButton(button);
 
   button.addEventListener('click', (e) => {
     e.preventDefault();
     e.stopPropagation();
 
-    const tweetData = getTweetData(tweetElement);
+    // Saved tweets open their stored record rather than saving again
+    const saved = button.classList.contains('saved');
+    runSaveAction(saved || settings.general.showSaveModal ? 'open-save-modal' : 'quick-save', tweetElement);
+  });
 
-    if (!tweetData.id) {
-      showNotification('Could not extract tweet data', 'error');
-      return;
-    }
+  return button;
+}
+
+// Show whether the button's tweet is saved
+function updateSaveButton(button) {
+  const saved = savedTweetIds.has(button.dataset.tweetId);
+  button.classList.toggle('saved', saved);
+  button.title = saved ? 'Saved - click to edit' : 'Save to Tweet Tracker';
+}
+
+// Save Shortcut Functions
+
+// Save a tweet with defaults, save it as actionable, or open the save modal
+function runSaveAction(action, tweetElement) {
+  const tweetData = getTweetData(tweetElement);
+
+  if (!tweetData.id) {
+    showNotification('Could not extract tweet data', 'error');
+    return;
+  }
+
+  const button = tweetElement.querySelector('.ticker-tracker-save-btn');
 
+  // Every action on a saved tweet edits its stored record instead
+  if (savedTweetIds.has(tweetData.id)) {
+    editSavedTweet(tweetData, button)
+      .catch(error => console.error('Tweet Tracker: could not load saved tweet', error));
+    return;
+  }
+
+  if (action === 'open-save-modal') {
     // Show modal for adding comments
-    showSaveModal(tweetData, button);
+    showSaveModal(tweetData, button, collectThread(tweetElement, tweetData));
+    return;
+  }
+
+  saveTweet({ ...tweetData, actionable: action === 'quick-save-actionable', comment: '' }, button);
+}
+
+// Tweet a shortcut acts on: the focused one (j/k navigation), else the hovered one
+function getShortcutTarget() {
+  const focused = document.activeElement?.closest?.(TWEET_SELECTOR);
+  if (focused) return focused;
+  return hoveredTweet?.isConnected ? hoveredTweet : null;
+}
+
+// Run a shortcut action on the focused or hovered tweet
+function handleSaveShortcut(action) {
+  if (getSaveModal().classList.contains('visible')) return;
+
+  const tweetElement = getShortcutTarget();
+  if (!tweetElement) {
+    showNotification('Hover over or select a tweet first', 'info');
+    return;
+  }
+  runSaveAction(action, tweetElement);
+}
+
+// Shift+key hotkeys, and chrome.commands shortcuts relayed by the background
+function setupSaveShortcuts() {
+  document.addEventListener('mouseover', (e) => {
+    hoveredTweet = e.target.closest?.(TWEET_SELECTOR) || null;
   });
 
-  return button;
+  document.addEventListener('keydown', (e) => {
+    if (!settings.general.hotkeys || !e.shiftKey || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const action = HOTKEYS[e.code];
+    if (!action) return;
+
+    // Leave capital letters alone while typing a reply or a search
+    if (e.target.isContentEditable || e.target.closest?.('input, textarea, select')) return;
+
+    e.preventDefault();
+    handleSaveShortcut(action);
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'RUN_SAVE_SHORTCUT') {
+      handleSaveShortcut(message.action);
+    }
+  });
+}
+
+// Report images the background's automatic archive could not download
+function setupArchiveNotices() {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'ARCHIVE_FAILED') {
+      showNotification(`${message.failedImages} image(s) could not be archived`, 'error');
+    }
+  });
 }
 
-// Show notification toast
-function showNotification(message, type = 'info') {
+// Show notification toast, optionally with an action button such as Undo
+function showNotification(message, type = 'info', action = null) {
   const existing = document.querySelector('.ticker-tracker-notification');
   if (existing) existing.remove();
 
@@ -543,14 +1042,386 @@ function showNotification(message, type = 'info') {
   notification.textContent = message;
   document.body.appendChild(notification);
 
+  if (action) {
+    const actionButton = document.createElement('button');
+    actionButton.className = 'ticker-notification-action';
+    actionButton.textContent = action.label;
+    actionButton.addEventListener('click', () => {
+      notification.remove();
+      action.onClick();
+    });
+    notification.appendChild(actionButton);
+  }
+
   setTimeout(() => {
     notification.classList.add('fade-out');
     setTimeout(() => notification.remove(), 300);
-  }, 2000);
+  }, action ? UNDO_WINDOW : NOTIFICATION_DURATION);
+}
+
+// Quote Card Functions
+
+// Wrap cashtags in a tweet's text with hover targets
+function wrapCashtags(tweetElement) {
+  tweetElement.querySelectorAll('[data-testid="tweetText"]').forEach(tweetText => {
+    if (tweetText.hasAttribute(CASHTAGS_ATTR)) return;
+    tweetText.setAttribute(CASHTAGS_ATTR, 'true');
+
+    const walker = document.createTreeWalker(tweetText, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+      const text = node.textContent;
+      const cashtags = findCashtags(text, settings.tickers);
+      if (cashtags.length === 0) return;
+
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+
+      cashtags.forEach(cashtag => {
+        if (cashtag.index > lastIndex) {
+          fragment.appendChild(document.createTextNode(text.slice(lastIndex, cashtag.index)));
+        }
+
+        const span = document.createElement('span');
+        span.className = 'ticker-tracker-cashtag';
+        span.textContent = cashtag.text;
+        span.dataset.symbol = cashtag.symbol;
+        fragment.appendChild(span);
+
+        lastIndex = cashtag.index + cashtag.length;
+      });
+
+      if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      }
+
+      node.parentNode.replaceChild(fragment, node);
+    });
+  });
+}
+
+// Get or create quote card
+function getQuoteCard() {
+  if (!quoteCard) {
+    quoteCard = document.createElement('div');
+    quoteCard.className = 'ticker-tracker-quote-card';
+    quoteCard.innerHTML = `
+      <div class="ticker-quote-header">
+        <span class="ticker-quote-symbol"></span>
+        <span class="ticker-quote-name"></span>
+      </div>
+      <div class="ticker-quote-body"></div>
+      <div class="ticker-quote-footer"></div>
+    `;
+    document.body.appendChild(quoteCard);
+  }
+  return quoteCard;
+}
+
+// Position a hover card below (or above) its target
+function positionHoverCard(card, target) {
+  const rect = target.getBoundingClientRect();
+  const cardRect = card.getBoundingClientRect();
+
+  let left = rect.left;
+  let top = rect.bottom + 8;
+
+  if (left + cardRect.width > window.innerWidth - 10) {
+    left = window.innerWidth - cardRect.width - 10;
+  }
+  if (top + cardRect.height > window.innerHeight - 10) {
+    top = rect.top - cardRect.height - 8;
+  }
+
+  card.style.left = `${Math.max(10, left)}px`;
+  card.style.top = `${Math.max(10, top)}px`;
+}
+
+// Format a price with its currency
+function formatPrice(value, currency) {
+  if (value === null || value === undefined) return 'N/A';
+  const amount = Number(value).toFixed(2);
+  return currency && currency !== 'USD' ? `${amount} ${currency}` : `$${amount}`;
+}
+
+// Format percent change with sign
+function formatChange(value) {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  return `${value >= 0 ? '+' : ''}${Number(value).toFixed(2)}%`;
+}
+
+// Format market cap to a short human readable string
+function formatMarketCap(value) {
+  if (!value) return 'N/A';
+  if (value >= 1e12) return `$${(value / 1e12).toFixed(2)}T`;
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(2)}K`;
+  return `$${value.toFixed(2)}`;
+}
+
+// Render quote rows into the card
+function renderQuoteRows(quote) {
+  const changeClass = quote.change > 0 ? 'positive' : quote.change < 0 ? 'negative' : '';
+  return `
+    <div class="ticker-quote-row">
+      <span class="ticker-quote-label">Price</span>
+      <span class="ticker-quote-value">${escapeHtml(formatPrice(quote.price, quote.currency))}</span>
+    </div>
+    <div class="ticker-quote-row">
+      <span class="ticker-quote-label">Day</span>
+      <span class="ticker-quote-value ${changeClass}">${escapeHtml(formatChange(quote.change))}</span>
+    </div>
+    <div class="ticker-quote-row">
+      <span class="ticker-quote-label">Market Cap</span>
+      <span class="ticker-quote-value">${escapeHtml(formatMarketCap(quote.marketCap))}</span>
+    </div>
+  `;
+}
+
+// Fill the card for a quote response
+function renderQuoteCard(card, symbol, response) {
+  card.classList.remove('loading', 'offline', 'unavailable');
+  card.querySelector('.ticker-quote-symbol').textContent = `$${symbol}`;
+  card.querySelector('.ticker-quote-name').textContent = response?.quote?.name && response.quote.name !== symbol
+    ? response.quote.name
+    : '';
+
+  const body = card.querySelector('.ticker-quote-body');
+  const footer = card.querySelector('.ticker-quote-footer');
+  const yahooLink = `<a href="https://finance.yahoo.com/quote/${encodeURIComponent(symbol)}" target="_blank" rel="noopener">Yahoo Finance</a>`;
+
+  if (!response) {
+    card.classList.add('loading');
+    body.innerHTML = '<div class="ticker-quote-message">Loading quote...</div>';
+    footer.innerHTML = '';
+    return;
+  }
+
+  if (response.status === 'ok') {
+    body.innerHTML = renderQuoteRows(response.quote);
+    footer.innerHTML = `<span>${escapeHtml(response.sourceName || response.source || '')}${response.cached ? ' · cached' : ''}</span>${yahooLink}`;
+    return;
+  }
+
+  if (response.status === 'offline') {
+    card.classList.add('offline');
+    body.innerHTML = `
+      <div class="ticker-quote-message">Quote source offline. Check that your quote server is running.</div>
+      ${response.quote ? renderQuoteRows(response.quote) : ''}
+    `;
+    footer.innerHTML = `<span>${response.fetchedAt ? `Last known ${escapeHtml(formatRelativeDate(new Date(response.fetchedAt).toISOString()))}` : 'Offline'}</span>${yahooLink}`;
+    return;
+  }
+
+  card.classList.add('unavailable');
+  body.innerHTML = `<div class="ticker-quote-message">No quote available for $${escapeHtml(symbol)}.</div>`;
+  footer.innerHTML = `<span>Unavailable</span>${yahooLink}`;
+}
+
+// Show quote card for a cashtag
+async function showQuoteCard(target) {
+  const symbol = target.dataset.symbol;
+  const card = getQuoteCard();
+  quoteCardSymbol = symbol;
+
+  renderQuoteCard(card, symbol, null);
+  card.classList.add('visible');
+  positionHoverCard(card, target);
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'GET_QUOTE', symbol });
+  } catch (error) {
+    console.error('Tweet Tracker: quote request failed', error);
+    response = { status: 'unavailable', symbol };
+  }
+
+  // The user may have moved on to another cashtag while we were waiting
+  if (quoteCardSymbol !== symbol) return;
+
+  renderQuoteCard(card, symbol, response || { status: 'unavailable', symbol });
+  positionHoverCard(card, target);
+}
+
+// Hide quote card now
+function hideQuoteCard() {
+  clearTimeout(quoteCardShowTimeout);
+  quoteCardSymbol = null;
+  quoteCard?.classList.remove('visible');
+}
+
+// Hide quote card after a short delay so it can be hovered
+function scheduleHideQuoteCard() {
+  clearTimeout(quoteCardHideTimeout);
+  quoteCardHideTimeout = setTimeout(hideQuoteCard, HOVER_CARD_HIDE_DELAY);
+}
+
+// Delegated hover handlers for cashtags and the card itself
+function setupQuoteCardHover() {
+  document.addEventListener('mouseover', (e) => {
+    const cashtag = e.target.closest?.('.ticker-tracker-cashtag');
+    if (cashtag) {
+      if (!settings.general.showQuoteCards) return;
+      clearTimeout(quoteCardHideTimeout);
+      clearTimeout(quoteCardShowTimeout);
+      quoteCardShowTimeout = setTimeout(() => showQuoteCard(cashtag), HOVER_CARD_SHOW_DELAY);
+      return;
+    }
+    if (e.target.closest?.('.ticker-tracker-quote-card')) {
+      clearTimeout(quoteCardHideTimeout);
+    }
+  });
+
+  document.addEventListener('mouseout', (e) => {
+    if (e.target.closest?.('.ticker-tracker-cashtag, .ticker-tracker-quote-card')) {
+      clearTimeout(quoteCardShowTimeout);
+      scheduleHideQuoteCard();
+    }
+  });
+}
+
+// Watchlist Functions
+
+// Highlight a tweet mentioning watchlisted symbols, and report it once
+function highlightWatchlist(tweetElement) {
+  const cashtags = [...tweetElement.querySelectorAll('.ticker-tracker-cashtag')];
+  cashtags.forEach(span => span.classList.toggle('watchlisted', watchlist.has(span.dataset.symbol)));
+
+  const symbols = [...new Set(cashtags.map(span => span.dataset.symbol).filter(symbol => watchlist.has(symbol)))];
+  tweetElement.classList.toggle('ticker-tracker-watchlist-match', symbols.length > 0);
+  if (symbols.length === 0) return;
+
+  // The permalink is enough to skip tweets already reported, so only new
+  // matches pay for reading the whole tweet
+  const permalinkId = getPermalinkId(tweetElement);
+  if (permalinkId && reportedMatches.has(permalinkId)) return;
+
+  const tweetData = getTweetData(tweetElement);
+  if (!tweetData.id || reportedMatches.has(tweetData.id)) return;
+  reportedMatches.add(tweetData.id);
+
+  chrome.runtime.sendMessage({ type: 'WATCHLIST_MATCH', data: tweetData, symbols })
+    .catch(error => console.error('Tweet Tracker: could not report watchlist match', error));
+}
+
+// Author Badge Functions
+
+// Handle from a User-Name block's profile link
+function getAuthorHandle(userNameElement) {
+  let handle = '';
+  userNameElement.querySelectorAll('a').forEach(link => {
+    const href = link.getAttribute('href');
+    if (href && href.startsWith('/') && !href.includes('/status/')) {
+      handle = href.slice(1); // Remove leading /
+    }
+  });
+  return handle;
+}
+
+// Add, update or remove the badge next to a tweet's author name
+function renderAuthorBadge(tweetElement) {
+  const userName = tweetElement.querySelector('[data-testid="User-Name"]');
+  if (!userName) return;
+
+  const handle = getAuthorHandle(userName);
+  const author = authorTags[handle];
+  let badge = userName.querySelector('.ticker-tracker-author-badge');
+
+  // Only authors with tags or notes get a badge, not every saved author
+  if (!author || (!(author.tags?.length > 0) && !author.notes)) {
+    badge?.remove();
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'ticker-tracker-author-badge';
+    userName.appendChild(badge);
+  }
+  const label = author.tags?.length > 0
+    ? `${author.tags[0]}${author.tags.length > 1 ? ` +${author.tags.length - 1}` : ''}`
+    : 'Note';
+
+  // Setting textContent replaces the text node even when unchanged, which
+  // wakes the observer and reprocesses every tweet again
+  if (badge.dataset.handle !== handle) badge.dataset.handle = handle;
+  if (badge.textContent !== label) badge.textContent = label;
+}
+
+// Get or create the author card
+function getAuthorCard() {
+  if (!authorCard) {
+    authorCard = document.createElement('div');
+    authorCard.className = 'ticker-tracker-author-card';
+    document.body.appendChild(authorCard);
+  }
+  return authorCard;
+}
+
+// Show tags, notes and saved-tweet count for the hovered badge's author
+function showAuthorCard(badge) {
+  const author = authorTags[badge.dataset.handle];
+  if (!author) return;
+
+  const card = getAuthorCard();
+  const tweetCount = author.tweetCount || 0;
+  card.innerHTML = `
+    <div class="ticker-author-card-header">
+      <span class="ticker-author-card-handle">@${escapeHtml(author.handle)}</span>
+      <span class="ticker-author-card-count">${tweetCount} saved tweet${tweetCount !== 1 ? 's' : ''}</span>
+    </div>
+    ${author.tags?.length > 0 ? `
+      <div class="ticker-author-card-tags">
+        ${author.tags.map(t => `<span class="author-tag-badge">${escapeHtml(t)}</span>`).join('')}
+      </div>
+    ` : ''}
+    ${author.notes ? `<div class="ticker-author-card-notes">${escapeHtml(author.notes)}</div>` : ''}
+  `;
+  card.classList.add('visible');
+  positionHoverCard(card, badge);
+}
+
+// Hide author card after a short delay so it can be hovered
+function scheduleHideAuthorCard() {
+  clearTimeout(authorCardHideTimeout);
+  authorCardHideTimeout = setTimeout(() => authorCard?.classList.remove('visible'), HOVER_CARD_HIDE_DELAY);
+}
+
+// Delegated hover handlers for author badges and the card itself
+function setupAuthorBadgeHover() {
+  document.addEventListener('mouseover', (e) => {
+    const badge = e.target.closest?.('.ticker-tracker-author-badge');
+    if (badge) {
+      clearTimeout(authorCardHideTimeout);
+      clearTimeout(authorCardShowTimeout);
+      authorCardShowTimeout = setTimeout(() => showAuthorCard(badge), HOVER_CARD_SHOW_DELAY);
+      return;
+    }
+    if (e.target.closest?.('.ticker-tracker-author-card')) {
+      clearTimeout(authorCardHideTimeout);
+    }
+  });
+
+  document.addEventListener('mouseout', (e) => {
+    if (e.target.closest?.('.ticker-tracker-author-badge, .ticker-tracker-author-card')) {
+      clearTimeout(authorCardShowTimeout);
+      scheduleHideAuthorCard();
+    }
+  });
 }
 
 // Process a single tweet
 function processTweet(tweetElement) {
+  // Tweet text can be re-rendered after the save button is added
+  wrapCashtags(tweetElement);
+  highlightWatchlist(tweetElement);
+  renderAuthorBadge(tweetElement);
+
   if (tweetElement.hasAttribute(PROCESSED_ATTR)) return;
 
   const actionBar = tweetElement.querySelector('[role="group"]');
@@ -571,7 +1442,7 @@ function processTweet(tweetElement) {
 
 // Find and process all tweets
 function processAllTweets() {
-  const tweets = document.querySelectorAll('article[data-testid="tweet"]');
+  const tweets = document.querySelectorAll(TWEET_SELECTOR);
   tweets.forEach(processTweet);
 }
 
@@ -581,6 +1452,8 @@ function setupObserver() {
     let shouldProcess = false;
 
     for (const mutation of mutations) {
+      // Our own badge updates aren't new content
+      if (mutation.target.closest?.('.ticker-tracker-author-badge')) continue;
       if (mutation.addedNodes.length > 0) {
         shouldProcess = true;
         break;
@@ -601,9 +1474,33 @@ function setupObserver() {
 }
 
 // Initialize
-function init() {
+async function init() {
+  try {
+    await loadSettings();
+  } catch (error) {
+    console.error('Tweet Tracker: could not load settings', error);
+  }
+  try {
+    await loadWatchlist();
+  } catch (error) {
+    console.error('Tweet Tracker: could not load watchlist', error);
+  }
+  try {
+    await loadAuthorTags();
+  } catch (error) {
+    console.error('Tweet Tracker: could not load author tags', error);
+  }
+  try {
+    await loadSavedTweetIds();
+  } catch (error) {
+    console.error('Tweet Tracker: could not load saved tweets', error);
+  }
   processAllTweets();
   setupObserver();
+  setupQuoteCardHover();
+  setupAuthorBadgeHover();
+  setupSaveShortcuts();
+  setupArchiveNotices();
   console.log('X Tweet Tracker initialized');
 }
 
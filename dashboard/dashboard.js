@@ -1,29 +1,137 @@
 // X Stock Ticker Tracker - Dashboard
 // Displays and filters saved tweets
 
+// Cards rendered around the viewport at a time (see Tweet List Virtualization)
+const TWEET_CARD_ESTIMATE = 220;
+const TWEET_LIST_GAP = 15; // .tweet-list gap
+const TWEET_LIST_OVERSCAN = 1000;
+const FILTER_DEBOUNCE = 150;
+
+// Analytics tab periods in days; all has no start
+const ANALYTICS_WINDOWS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365, all: null };
+const CHART_COLORS = ['#1d9bf0', '#00ba7c', '#f4212e', '#ffd400', '#a78bfa'];
+const DAY_MS = 86400000;
+
 let allTweets = [];
 let filteredTweets = [];
 let allAuthors = {};
+let authorScores = {};
 let filteredAuthors = [];
 let currentEditAuthor = null;
+let currentEditTweet = null;
+let currentJournalTweet = null;
+
+// Ticker page: the symbol shown, the tab to go back to, and a counter so a
+// slow chart response for an earlier symbol is ignored
+let currentTicker = null;
+let tickerReturnTab = 'tweets';
+let tickerChartRequest = 0;
+let settings = validateSettings().settings;
+let watchlist = new Set();
+
+// Virtualized tweet list state: measured card heights by tweet ID (including
+// the gap), filtered positions by tweet ID, card offsets and the rendered slice
+const tweetHeights = new Map();
+let filteredIndexes = new Map();
+let tweetOffsets = [0];
+let renderedRange = null;
+let scrollFrame = null;
+let filterTimeout = null;
+
+// Bulk selection: selected tweet IDs and author handles, and the last
+// clicked position in each list for shift-click ranges
+const selectedTweets = new Set();
+const selectedAuthors = new Set();
+let lastTweetSelection = null;
+let lastAuthorSelection = null;
+
+// Tweets the export modal will export
+let exportTweetIds = [];
+
+// Sentiment labels by tweet record; records are replaced when edited, so
+// entries never go stale
+const sentimentCache = new WeakMap();
+
+// Author tags by handle for authortag: searches (see lib/authors.js)
+let authorTags = {};
+
+// Autocomplete state: the token being completed and the highlighted suggestion
+let searchSuggestionToken = null;
+let activeSuggestion = -1;
 
 // DOM Elements - Tweets Tab
 const searchInput = document.getElementById('searchInput');
 const tickerFilter = document.getElementById('tickerFilter');
 const authorFilter = document.getElementById('authorFilter');
+const collectionFilter = document.getElementById('collectionFilter');
+const sentimentFilter = document.getElementById('sentimentFilter');
 const actionableFilter = document.getElementById('actionableFilter');
+const sortOrder = document.getElementById('sortOrder');
+const searchSuggestions = document.getElementById('searchSuggestions');
+const searchErrors = document.getElementById('searchErrors');
+const searchHelp = document.getElementById('searchHelp');
+const savedSearchesEl = document.getElementById('savedSearches');
 const exportBtn = document.getElementById('exportBtn');
+const refreshPricesBtn = document.getElementById('refreshPricesBtn');
+const watchlistEl = document.getElementById('watchlist');
+const watchlistForm = document.getElementById('watchlistForm');
+const watchlistInput = document.getElementById('watchlistInput');
 const tweetList = document.getElementById('tweetList');
 const totalCount = document.getElementById('totalCount');
 const filteredCount = document.getElementById('filteredCount');
+const tweetBulkBar = document.getElementById('tweetBulkBar');
+const tweetSelectedCount = document.getElementById('tweetSelectedCount');
 
 // DOM Elements - Authors Tab
 const authorSearchInput = document.getElementById('authorSearchInput');
+const authorSort = document.getElementById('authorSort');
+const scoreAuthorsBtn = document.getElementById('scoreAuthorsBtn');
 const exportAuthorsBtn = document.getElementById('exportAuthorsBtn');
 const importAuthorsFile = document.getElementById('importAuthorsFile');
 const authorList = document.getElementById('authorList');
 const authorTotalCount = document.getElementById('authorTotalCount');
 const authorFilteredCount = document.getElementById('authorFilteredCount');
+const authorBulkBar = document.getElementById('authorBulkBar');
+const authorSelectedCount = document.getElementById('authorSelectedCount');
+
+// DOM Elements - Journal Tab
+const journalStatusFilter = document.getElementById('journalStatusFilter');
+const journalExportFormat = document.getElementById('journalExportFormat');
+const exportJournalBtn = document.getElementById('exportJournalBtn');
+const journalList = document.getElementById('journalList');
+const journalTotalCount = document.getElementById('journalTotalCount');
+const journalSummary = document.getElementById('journalSummary');
+
+// DOM Elements - Analytics Tab
+const analyticsWindow = document.getElementById('analyticsWindow');
+const analyticsSummary = document.getElementById('analyticsSummary');
+const mentionsChart = document.getElementById('mentionsChart');
+const trendingChart = document.getElementById('trendingChart');
+const authorActivityChart = document.getElementById('authorActivityChart');
+const heatmapChart = document.getElementById('heatmapChart');
+
+// DOM Elements - Ticker Page
+const tickerTitle = document.getElementById('tickerTitle');
+const tickerStats = document.getElementById('tickerStats');
+const tickerChart = document.getElementById('tickerChart');
+const tickerAuthors = document.getElementById('tickerAuthors');
+const tickerRelated = document.getElementById('tickerRelated');
+const tickerTimeline = document.getElementById('tickerTimeline');
+
+// DOM Elements - Journal Entry Modal
+const journalModal = document.getElementById('journalModal');
+const journalTweetAuthor = document.getElementById('journalTweetAuthor');
+const journalTweetLink = document.getElementById('journalTweetLink');
+const journalTweetText = document.getElementById('journalTweetText');
+const journalTicker = document.getElementById('journalTicker');
+const journalTickerList = document.getElementById('journalTickerList');
+const journalDirection = document.getElementById('journalDirection');
+const journalStatus = document.getElementById('journalStatus');
+const journalEntryPrice = document.getElementById('journalEntryPrice');
+const journalEntryDate = document.getElementById('journalEntryDate');
+const journalExitPrice = document.getElementById('journalExitPrice');
+const journalExitDate = document.getElementById('journalExitDate');
+const journalSize = document.getElementById('journalSize');
 
 // DOM Elements - Edit Author Modal
 const editAuthorModal = document.getElementById('editAuthorModal');
@@ -32,6 +140,31 @@ const editAuthorTweetCount = document.getElementById('editAuthorTweetCount');
 const editAuthorTags = document.getElementById('editAuthorTags');
 const editAuthorNotes = document.getElementById('editAuthorNotes');
 
+// DOM Elements - Settings Tab
+const restoreMode = document.getElementById('restoreMode');
+const restoreBackupFile = document.getElementById('restoreBackupFile');
+const restoreReport = document.getElementById('restoreReport');
+
+// DOM Elements - Export Modal
+const exportModal = document.getElementById('exportModal');
+const exportSummary = document.getElementById('exportSummary');
+const exportFormat = document.getElementById('exportFormat');
+const exportColumnsGroup = document.getElementById('exportColumnsGroup');
+const exportColumns = document.getElementById('exportColumns');
+
+// DOM Elements - Edit Tweet Modal
+const editTweetModal = document.getElementById('editTweetModal');
+const editTweetAuthor = document.getElementById('editTweetAuthor');
+const editTweetUpdated = document.getElementById('editTweetUpdated');
+const editTweetText = document.getElementById('editTweetText');
+const editTweetActionable = document.getElementById('editTweetActionable');
+const editTweetTickers = document.getElementById('editTweetTickers');
+const editTweetSentimentGroup = document.getElementById('editTweetSentimentGroup');
+const editTweetSentiment = document.getElementById('editTweetSentiment');
+const editTweetTags = document.getElementById('editTweetTags');
+const editTweetCollections = document.getElementById('editTweetCollections');
+const editTweetComment = document.getElementById('editTweetComment');
+
 // Tab Elements
 const tabButtons = document.querySelectorAll('.tab-btn');
 const tabContents = document.querySelectorAll('.tab-content');
@@ -40,10 +173,8 @@ const tabContents = document.querySelectorAll('.tab-content');
 async function loadTweets() {
   const response = await chrome.runtime.sendMessage({ type: 'GET_TWEETS' });
   allTweets = response.tweets || [];
-  filteredTweets = [...allTweets];
   populateFilters();
-  renderTweets();
-  updateCounts();
+  applyFilters();
 }
 
 // Populate filter dropdowns
@@ -56,6 +187,15 @@ function populateFilters() {
     if (tweet.author) authors.add(tweet.author);
   });
 
+  // Populate collection filter, keeping the selection if it still exists
+  const selectedCollection = collectionFilter.value;
+  const collections = getTweetLabelNames('collections');
+  collectionFilter.innerHTML = '<option value="">All Collections</option>';
+  collections.slice().sort((a, b) => a.localeCompare(b)).forEach(collection => {
+    collectionFilter.appendChild(new Option(collection, collection));
+  });
+  collectionFilter.value = collections.includes(selectedCollection) ? selectedCollection : '';
+
   // Populate ticker filter
   tickerFilter.innerHTML = '<option value="">All Tickers</option>';
   [...tickers].sort().forEach(ticker => {
@@ -77,19 +217,20 @@ function populateFilters() {
 
 // Apply filters
 function applyFilters() {
-  const searchTerm = searchInput.value.toLowerCase();
+  const { terms, errors } = parseSearchQuery(searchInput.value, settings.tickers);
   const selectedTicker = tickerFilter.value;
   const selectedAuthor = authorFilter.value;
+  const selectedCollection = collectionFilter.value;
+  const selectedSentiment = sentimentFilter.value;
   const actionableOnly = actionableFilter.checked;
 
+  searchInput.classList.toggle('invalid', errors.length > 0);
+  searchErrors.textContent = errors.join('; ');
+
   filteredTweets = allTweets.filter(tweet => {
-    // Search filter (also search in comments)
-    if (searchTerm) {
-      const textMatch = tweet.text.toLowerCase().includes(searchTerm);
-      const commentMatch = tweet.comment && tweet.comment.toLowerCase().includes(searchTerm);
-      if (!textMatch && !commentMatch) {
-        return false;
-      }
+    // Search query (see lib/search.js)
+    if (terms.length > 0 && !matchesSearchQuery(tweet, terms, authorTags)) {
+      return false;
     }
 
     // Ticker filter
@@ -102,6 +243,20 @@ function applyFilters() {
       return false;
     }
 
+    // Collection filter
+    if (selectedCollection && !(tweet.collections || []).includes(selectedCollection)) {
+      return false;
+    }
+
+    // Sentiment filter, for the filtered ticker when there is one
+    if (selectedSentiment) {
+      const labels = getSentiment(tweet);
+      const matches = selectedTicker
+        ? labels[selectedTicker] === selectedSentiment
+        : Object.values(labels).includes(selectedSentiment);
+      if (!matches) return false;
+    }
+
     // Actionable filter
     if (actionableOnly && !tweet.actionable) {
       return false;
@@ -110,8 +265,175 @@ function applyFilters() {
     return true;
   });
 
+  sortTweets(filteredTweets, sortOrder.value);
+  pruneSelection(selectedTweets, filteredTweets.map(t => t.id));
   renderTweets();
   updateCounts();
+  updateTweetBulkBar();
+  renderSavedSearches();
+}
+
+// Sort tweets in place; ties keep the newest save first
+function sortTweets(tweets, order) {
+  const time = value => (value ? new Date(value).getTime() : 0);
+  const newestSave = (a, b) => time(b.savedAt) - time(a.savedAt);
+  const comparators = {
+    'saved-desc': newestSave,
+    'saved-asc': (a, b) => time(a.savedAt) - time(b.savedAt),
+    'tweeted-desc': (a, b) => time(b.tweetedAt || b.savedAt) - time(a.tweetedAt || a.savedAt),
+    'tweeted-asc': (a, b) => time(a.tweetedAt || a.savedAt) - time(b.tweetedAt || b.savedAt),
+    author: (a, b) => (a.author || '').localeCompare(b.author || '', undefined, { sensitivity: 'base' }) || newestSave(a, b),
+    // Tweets without tickers go last
+    ticker: (a, b) => (a.tickers[0] ? 0 : 1) - (b.tickers[0] ? 0 : 1) ||
+      (a.tickers[0] || '').localeCompare(b.tickers[0] || '') || newestSave(a, b)
+  };
+  return tweets.sort(DASHBOARD_SORTS.includes(order) ? comparators[order] : newestSave);
+}
+
+// Search Query Functions
+
+// Token under the caret: { start, end, text }
+function getQueryToken() {
+  const value = searchInput.value;
+  const caret = searchInput.selectionStart ?? value.length;
+  const start = value.lastIndexOf(' ', caret - 1) + 1;
+  const nextSpace = value.indexOf(' ', caret);
+  const end = nextSpace === -1 ? value.length : nextSpace;
+  return { start, end, text: value.slice(start, caret) };
+}
+
+// Suggestions for a partial ticker, author, tag or collection token
+function getQuerySuggestions(tokenText) {
+  const match = /^(-?)(\$|author:@?|authortag:|tag:|collection:)(.*)$/i.exec(tokenText);
+  if (!match) return [];
+  const [, minus, prefix, partial] = match;
+  const kind = prefix.toLowerCase().replace(/[@:]/g, '');
+  const needle = partial.replace(/^"/, '').toLowerCase();
+  const counts = new Map();
+
+  const count = value => counts.set(value, (counts.get(value) || 0) + 1);
+  if (kind === '$') {
+    allTweets.forEach(tweet => tweet.tickers.forEach(count));
+  } else if (kind === 'author') {
+    allTweets.forEach(tweet => tweet.author && count(tweet.author));
+  } else if (kind === 'tag' || kind === 'collection') {
+    allTweets.forEach(tweet => (tweet[`${kind}s`] || []).forEach(count));
+  } else {
+    Object.values(authorTags).forEach(author => (author.tags || []).forEach(count));
+  }
+
+  const insert = kind === '$' ? '$' : `${kind}:`;
+  return [...counts.entries()]
+    .filter(([value]) => value.toLowerCase().startsWith(needle))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 8)
+    .map(([value, n]) => ({
+      text: `${minus}${insert}${/\s/.test(value) ? `"${value}"` : value}`,
+      hint: kind === 'authortag' ? `${n} author${n !== 1 ? 's' : ''}` : `${n} tweet${n !== 1 ? 's' : ''}`
+    }));
+}
+
+// Show autocomplete for the token under the caret
+function updateSearchSuggestions() {
+  const token = getQueryToken();
+  const suggestions = getQuerySuggestions(token.text);
+  searchSuggestionToken = suggestions.length > 0 ? token : null;
+  activeSuggestion = -1;
+
+  searchSuggestions.innerHTML = suggestions.map(suggestion => `
+    <li data-text="${escapeHtml(suggestion.text)}">${escapeHtml(suggestion.text)}<span class="suggestion-hint">${escapeHtml(suggestion.hint)}</span></li>
+  `).join('');
+  searchSuggestions.classList.toggle('visible', suggestions.length > 0);
+}
+
+function hideSearchSuggestions() {
+  searchSuggestionToken = null;
+  searchSuggestions.classList.remove('visible');
+}
+
+// Replace the token being completed with a suggestion
+function applySearchSuggestion(text) {
+  if (!searchSuggestionToken) return;
+  const { start, end } = searchSuggestionToken;
+  const value = searchInput.value;
+  const after = value.slice(end).replace(/^ /, '');
+  searchInput.value = `${value.slice(0, start)}${text} ${after}`;
+  const caret = start + text.length + 1;
+  searchInput.setSelectionRange(caret, caret);
+  hideSearchSuggestions();
+  applyFilters();
+}
+
+// Arrow keys, Enter and Tab pick a suggestion; Escape closes the list
+function handleSearchKeydown(e) {
+  if (!searchSuggestionToken) return;
+  const items = searchSuggestions.querySelectorAll('li');
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    activeSuggestion = (activeSuggestion + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+    items.forEach((item, index) => item.classList.toggle('active', index === activeSuggestion));
+  } else if ((e.key === 'Enter' || e.key === 'Tab') && items.length > 0) {
+    e.preventDefault();
+    applySearchSuggestion(items[Math.max(activeSuggestion, 0)].dataset.text);
+  } else if (e.key === 'Escape') {
+    hideSearchSuggestions();
+  }
+}
+
+// Saved search chips, with the one matching the current query highlighted
+function renderSavedSearches() {
+  const query = searchInput.value.trim();
+  savedSearchesEl.innerHTML = settings.dashboard.savedSearches.map(search => `
+    <span class="saved-search-chip ${search.query === query ? 'active' : ''}" data-query="${escapeHtml(search.query)}" title="${escapeHtml(search.query)}">
+      ${escapeHtml(search.name)}<button class="remove-search" data-name="${escapeHtml(search.name)}" title="Remove saved search">&times;</button>
+    </span>
+  `).join('');
+}
+
+// Save the current query under a name, replacing a search with the same name
+async function saveCurrentSearch() {
+  const query = searchInput.value.trim();
+  if (!query) {
+    alert('Type a search first.');
+    return;
+  }
+
+  const name = prompt('Name this search:', query);
+  if (!name || !name.trim()) return;
+
+  const savedSearches = [
+    ...settings.dashboard.savedSearches.filter(search => search.name !== name.trim()),
+    { name: name.trim(), query }
+  ];
+  const result = await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', data: { dashboard: { savedSearches } } });
+  if (!result.success) {
+    alert(`Could not save search: ${result.error}`);
+  }
+}
+
+// Remove a saved search by name
+async function removeSavedSearch(name) {
+  const savedSearches = settings.dashboard.savedSearches.filter(search => search.name !== name);
+  await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', data: { dashboard: { savedSearches } } });
+}
+
+// Show the tweets matching a search query, with the other filters cleared
+function showTweetsForQuery(query) {
+  searchInput.value = query;
+  tickerFilter.value = '';
+  authorFilter.value = '';
+  collectionFilter.value = '';
+  sentimentFilter.value = '';
+  actionableFilter.checked = false;
+  switchTab('tweets');
+  applyFilters();
+}
+
+// Remember the sort order
+async function changeSortOrder() {
+  applyFilters();
+  await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', data: { dashboard: { sort: sortOrder.value } } });
 }
 
 // Update counts display
@@ -125,9 +447,14 @@ function updateCounts() {
   }
 }
 
-// Render tweets list
+// Render tweets list, keeping the tweet at the top of the viewport in place
 function renderTweets() {
+  const anchor = getScrollAnchor();
+  renderedRange = null;
+
   if (filteredTweets.length === 0) {
+    tweetList.style.paddingTop = '';
+    tweetList.style.paddingBottom = '';
     if (allTweets.length === 0) {
       tweetList.innerHTML = `
         <div class="empty-state">
@@ -145,45 +472,626 @@ function renderTweets() {
     return;
   }
 
-  tweetList.innerHTML = filteredTweets.map(tweet => `
-    <div class="tweet-card ${tweet.actionable ? 'actionable' : ''}" data-id="${tweet.id}">
+  filteredIndexes = new Map(filteredTweets.map((tweet, index) => [tweet.id, index]));
+  computeTweetOffsets();
+
+  // Give the list its full height before scrolling the anchor back into place
+  tweetList.innerHTML = '';
+  tweetList.style.paddingTop = '0px';
+  tweetList.style.paddingBottom = `${tweetOffsets[filteredTweets.length]}px`;
+  if (anchor && filteredIndexes.has(anchor.id)) {
+    window.scrollTo(0, getTweetListTop() + tweetOffsets[filteredIndexes.get(anchor.id)] - anchor.top);
+  }
+
+  renderVisibleTweets();
+}
+
+// Tweet List Virtualization
+//
+// Only the cards within TWEET_LIST_OVERSCAN pixels of the viewport are in the
+// DOM; padding on the list stands in for the rest. Card heights are measured
+// once rendered, and unmeasured cards count as TWEET_CARD_ESTIMATE.
+
+// Top of the tweet list in document coordinates
+function getTweetListTop() {
+  return tweetList.getBoundingClientRect().top + window.scrollY;
+}
+
+// Recompute where each filtered tweet starts; the last entry is the total
+function computeTweetOffsets() {
+  tweetOffsets = [0];
+  filteredTweets.forEach((tweet, index) => {
+    tweetOffsets.push(tweetOffsets[index] + (tweetHeights.get(tweet.id) ?? TWEET_CARD_ESTIMATE));
+  });
+}
+
+// Index of the tweet at a position within the list
+function findTweetIndexAt(offset) {
+  let low = 0;
+  let high = filteredTweets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (tweetOffsets[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// First rendered card still on screen, and how far it is from the viewport top
+function getScrollAnchor() {
+  const card = [...tweetList.querySelectorAll('.tweet-card')].find(el => el.getBoundingClientRect().bottom > 0);
+  return card ? { id: card.dataset.id, top: card.getBoundingClientRect().top } : null;
+}
+
+// Render the cards near the viewport; force re-renders an unchanged range
+function renderVisibleTweets(force = false) {
+  // Nothing to measure while the Tweets tab is hidden
+  if (filteredTweets.length === 0 || !tweetList.offsetParent) return;
+
+  const listTop = getTweetListTop();
+  const start = findTweetIndexAt(window.scrollY - listTop - TWEET_LIST_OVERSCAN);
+  const end = findTweetIndexAt(window.scrollY + window.innerHeight - listTop + TWEET_LIST_OVERSCAN) + 1;
+  if (!force && renderedRange && renderedRange.start === start && renderedRange.end === end) return;
+
+  const anchor = getScrollAnchor();
+  renderedRange = { start, end };
+  tweetList.innerHTML = filteredTweets.slice(start, end).map(renderTweetCard).join('');
+
+  // Measure the new cards; estimates above the viewport shift what's on screen
+  let changed = false;
+  tweetList.querySelectorAll('.tweet-card').forEach(card => {
+    const height = card.offsetHeight + TWEET_LIST_GAP;
+    if (tweetHeights.get(card.dataset.id) !== height) {
+      tweetHeights.set(card.dataset.id, height);
+      changed = true;
+    }
+  });
+  if (changed) computeTweetOffsets();
+
+  tweetList.style.paddingTop = `${tweetOffsets[start]}px`;
+  tweetList.style.paddingBottom = `${tweetOffsets[filteredTweets.length] - tweetOffsets[end]}px`;
+
+  const anchorCard = anchor && tweetList.querySelector(`.tweet-card[data-id="${CSS.escape(anchor.id)}"]`);
+  if (anchorCard) {
+    window.scrollBy(0, anchorCard.getBoundingClientRect().top - anchor.top);
+  }
+}
+
+// Re-render on scroll at most once per frame
+function scheduleVisibleTweets() {
+  if (scrollFrame) return;
+  scrollFrame = requestAnimationFrame(() => {
+    scrollFrame = null;
+    renderVisibleTweets();
+  });
+}
+
+// Card HTML for one tweet
+function renderTweetCard(tweet) {
+  return `
+    <div class="tweet-card ${tweet.actionable ? 'actionable' : ''} ${selectedTweets.has(tweet.id) ? 'selected' : ''}" data-id="${tweet.id}">
       <div class="tweet-header">
+        <input type="checkbox" class="select-card" data-id="${tweet.id}" ${selectedTweets.has(tweet.id) ? 'checked' : ''} title="Select (Shift-click for a range)">
         <div class="author-info">
           <span class="display-name">${escapeHtml(tweet.authorDisplayName || tweet.author)}</span>
           <span class="username">@${escapeHtml(tweet.author)}</span>
           ${tweet.actionable ? '<span class="actionable-badge">Actionable</span>' : ''}
         </div>
         <div class="tweet-actions">
+          ${tweet.tickers.length > 0 ? `<button class="btn btn-small refresh-btn" data-id="${tweet.id}" title="Refresh prices">Refresh</button>` : ''}
+          ${tweet.actionable ? `<button class="btn btn-small journal-btn" data-id="${tweet.id}" title="Trade journal entry">Journal</button>` : ''}
           <a href="${tweet.url}" target="_blank" class="btn btn-small">View</a>
+          <button class="btn btn-small edit-tweet-btn" data-id="${tweet.id}">Edit</button>
           <button class="btn btn-small btn-danger delete-btn" data-id="${tweet.id}">Delete</button>
         </div>
       </div>
-      <div class="tweet-text">${escapeHtml(tweet.text)}</div>
+      ${tweet.thread ? renderThread(tweet) : `<div class="tweet-text">${escapeHtml(tweet.text)}</div>`}
+      ${tweet.quotedTweet ? renderQuotedTweet(tweet.quotedTweet) : ''}
+      ${tweet.card && tweet.card.url ? `
+        <a class="tweet-link-card" href="${escapeHtml(tweet.card.url)}" target="_blank">
+          ${tweet.card.domain ? `<span class="link-card-domain">${escapeHtml(tweet.card.domain)}</span>` : ''}
+          <span class="link-card-title">${escapeHtml(tweet.card.title || tweet.card.url)}</span>
+        </a>
+      ` : ''}
       ${tweet.comment ? `<div class="tweet-comment"><strong>Note:</strong> ${escapeHtml(tweet.comment)}</div>` : ''}
+      ${renderTweetLabels(tweet)}
       <div class="tweet-footer">
         <div class="tickers">
           ${tweet.tickers.length > 0
-            ? tweet.tickers.map(t => `<span class="ticker-tag">$${t}</span>`).join('')
+            ? tweet.tickers.map(t => `<span class="ticker-tag ${watchlist.has(t) ? 'watchlisted' : ''}" data-ticker="${t}" title="Open $${t}">$${t}</span>${renderSentimentBadge(tweet, t)}${renderPerformance(tweet, t)}`).join('')
             : '<span class="no-tickers">No tickers detected</span>'
           }
         </div>
         <div class="tweet-dates">
           ${tweet.tweetedAt ? `<span class="tweeted-date">Tweeted ${formatDate(tweet.tweetedAt)}</span>` : ''}
           <span class="saved-date">Saved ${formatDate(tweet.savedAt)}</span>
+          ${renderArchiveStatus(tweet)}
         </div>
       </div>
     </div>
-  `).join('');
+  `;
+}
 
-  // Add delete handlers
-  document.querySelectorAll('.delete-btn').forEach(btn => {
-    btn.addEventListener('click', async (e) => {
-      const tweetId = e.target.dataset.id;
-      if (confirm('Delete this saved tweet?')) {
-        await deleteTweet(tweetId);
-      }
+// Tweet tags and collections; clicking one searches for it
+function renderTweetLabels(tweet) {
+  const labels = [
+    ...(tweet.collections || []).map(name => ({ kind: 'collection', name })),
+    ...(tweet.tags || []).map(name => ({ kind: 'tag', name }))
+  ];
+  if (labels.length === 0) return '';
+
+  return `
+    <div class="tweet-labels">
+      ${labels.map(({ kind, name }) => `
+        <span class="tweet-label ${kind}" data-query="${escapeHtml(`${kind}:${/\s/.test(name) ? `"${name}"` : name}`)}" title="${kind === 'tag' ? 'Tag' : 'Collection'}">${escapeHtml(name)}</span>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Card buttons, handled once for the whole list
+async function handleTweetListClick(e) {
+  const checkbox = e.target.closest('.select-card');
+  if (checkbox) {
+    const ids = filteredTweets.map(t => t.id);
+    lastTweetSelection = selectCards(selectedTweets, ids, ids.indexOf(checkbox.dataset.id), checkbox.checked, e.shiftKey ? lastTweetSelection : null);
+    tweetList.querySelectorAll('.tweet-card').forEach(card => {
+      const selected = selectedTweets.has(card.dataset.id);
+      card.classList.toggle('selected', selected);
+      card.querySelector('.select-card').checked = selected;
     });
+    updateTweetBulkBar();
+    return;
+  }
+
+  const label = e.target.closest('.tweet-label');
+  if (label) {
+    searchInput.value = label.dataset.query;
+    applyFilters();
+    return;
+  }
+
+  const tickerTag = e.target.closest('.ticker-tag[data-ticker]');
+  if (tickerTag) {
+    showTickerView(tickerTag.dataset.ticker);
+    return;
+  }
+
+  const sentimentBadge = e.target.closest('.sentiment-badge');
+  if (sentimentBadge) {
+    showEditTweetModal(sentimentBadge.dataset.id);
+    return;
+  }
+
+  const button = e.target.closest('button[data-id]');
+  if (!button) return;
+  const tweetId = button.dataset.id;
+
+  if (button.classList.contains('refresh-btn')) {
+    button.disabled = true;
+    await refreshPrices([tweetId]);
+  } else if (button.classList.contains('archive-btn')) {
+    button.disabled = true;
+    button.textContent = 'Archiving...';
+    await archiveTweet(tweetId);
+  } else if (button.classList.contains('edit-tweet-btn')) {
+    showEditTweetModal(tweetId);
+  } else if (button.classList.contains('journal-btn')) {
+    showJournalModal(tweetId);
+  } else if (button.classList.contains('delete-btn')) {
+    if (confirm('Delete this saved tweet?')) {
+      await deleteTweet(tweetId);
+    }
+  }
+}
+
+// Bulk Selection Functions
+
+// Select or deselect the card at index, or every card from the last clicked
+// one through index when from is set (shift-click). Returns the new anchor.
+function selectCards(selection, keys, index, checked, from) {
+  if (index === -1) return from;
+  const [start, end] = from !== null && from !== undefined
+    ? [Math.min(from, index), Math.max(from, index)]
+    : [index, index];
+  keys.slice(start, end + 1).forEach(key => {
+    if (checked) {
+      selection.add(key);
+    } else {
+      selection.delete(key);
+    }
+  });
+  return index;
+}
+
+// Drop selected keys that are no longer listed
+function pruneSelection(selection, keys) {
+  const listed = new Set(keys);
+  [...selection].forEach(key => {
+    if (!listed.has(key)) selection.delete(key);
+  });
+}
+
+// Show the bulk actions while tweets are selected
+function updateTweetBulkBar() {
+  tweetSelectedCount.textContent = `${selectedTweets.size} selected`;
+  tweetBulkBar.classList.toggle('visible', selectedTweets.size > 0);
+}
+
+function selectAllTweets() {
+  filteredTweets.forEach(tweet => selectedTweets.add(tweet.id));
+  renderTweets();
+  updateTweetBulkBar();
+}
+
+function clearTweetSelection() {
+  selectedTweets.clear();
+  lastTweetSelection = null;
+  renderTweets();
+  updateTweetBulkBar();
+}
+
+// Ask for comma-separated labels; null when cancelled or empty
+function promptLabels(message) {
+  const input = prompt(message);
+  const labels = input ? parseTweetLabels(input) : [];
+  return labels.length > 0 ? labels : null;
+}
+
+// Run a bulk action on the selected tweets
+async function runTweetBulkAction(action) {
+  const tweetIds = [...selectedTweets];
+  if (action === 'clear') {
+    clearTweetSelection();
+    return;
+  }
+  if (tweetIds.length === 0) return;
+  if (action === 'export') {
+    showExportModal(tweetIds);
+    return;
+  }
+
+  const count = `${tweetIds.length} tweet${tweetIds.length !== 1 ? 's' : ''}`;
+  let data;
+  switch (action) {
+    case 'delete': {
+      if (!confirm(`Delete ${count}?`)) return;
+      const result = await chrome.runtime.sendMessage({ type: 'DELETE_TWEETS', tweetIds });
+      if (!result.success) {
+        alert(`Delete failed: ${result.error}`);
+        return;
+      }
+      clearTweetSelection();
+      await loadTweets();
+      return;
+    }
+    case 'actionable':
+    case 'not-actionable':
+      data = { actionable: action === 'actionable' };
+      break;
+    case 'add-tags':
+    case 'remove-tags': {
+      const tags = promptLabels(`${action === 'add-tags' ? 'Add tags to' : 'Remove tags from'} ${count} (comma-separated):`);
+      if (!tags) return;
+      data = action === 'add-tags' ? { addTags: tags } : { removeTags: tags };
+      break;
+    }
+    case 'add-collection':
+    case 'remove-collection': {
+      const collections = promptLabels(`${action === 'add-collection' ? 'Add' : 'Remove'} ${count} ${action === 'add-collection' ? 'to' : 'from'} collections (comma-separated):`);
+      if (!collections) return;
+      data = action === 'add-collection' ? { addCollections: collections } : { removeCollections: collections };
+      break;
+    }
+    default:
+      return;
+  }
+
+  const result = await chrome.runtime.sendMessage({ type: 'UPDATE_TWEETS', tweetIds, data });
+  if (!result.success) {
+    alert(`Update failed: ${result.error}`);
+    return;
+  }
+
+  result.tweets.forEach(updated => {
+    const index = allTweets.findIndex(t => t.id === updated.id);
+    if (index !== -1) allTweets[index] = updated;
+  });
+  populateFilters();
+  applyFilters();
+}
+
+// Show the bulk actions while authors are selected
+function updateAuthorBulkBar() {
+  authorSelectedCount.textContent = `${selectedAuthors.size} selected`;
+  authorBulkBar.classList.toggle('visible', selectedAuthors.size > 0);
+}
+
+// Run a bulk action on the selected authors
+async function runAuthorBulkAction(action) {
+  const handles = [...selectedAuthors];
+  if (action === 'clear') {
+    selectedAuthors.clear();
+    lastAuthorSelection = null;
+    renderAuthors();
+    updateAuthorBulkBar();
+    return;
+  }
+  if (handles.length === 0) return;
+
+  const count = `${handles.length} author${handles.length !== 1 ? 's' : ''}`;
+  let result;
+  switch (action) {
+    case 'export':
+      await exportAuthors(handles);
+      return;
+    case 'delete':
+      if (!confirm(`Delete ${count}? This will only remove their tags and notes, not saved tweets.`)) return;
+      result = await chrome.runtime.sendMessage({ type: 'DELETE_AUTHOR_TAGS', handles });
+      if (result.success) selectedAuthors.clear();
+      break;
+    case 'add-tags':
+    case 'remove-tags': {
+      const tags = promptLabels(`${action === 'add-tags' ? 'Add tags to' : 'Remove tags from'} ${count} (comma-separated):`);
+      if (!tags) return;
+      result = await chrome.runtime.sendMessage({
+        type: 'UPDATE_AUTHOR_TAGS',
+        handles,
+        data: action === 'add-tags' ? { addTags: tags } : { removeTags: tags }
+      });
+      break;
+    }
+    default:
+      return;
+  }
+
+  if (!result.success) {
+    alert(`Update failed: ${result.error}`);
+  }
+  await loadAuthors();
+}
+
+// Filter after typing pauses rather than on every keystroke
+function scheduleApplyFilters() {
+  clearTimeout(filterTimeout);
+  filterTimeout = setTimeout(applyFilters, FILTER_DEBOUNCE);
+}
+
+// Archive outcome for a tweet's images and Markdown, with a retry when needed
+function renderArchiveStatus(tweet) {
+  const archive = tweet.archive;
+  if (!archive) {
+    return `<button class="link-btn archive-btn" data-id="${tweet.id}">Archive locally</button>`;
+  }
+
+  const saved = archive.images.filter(img => img.status === 'complete').length;
+  const failed = archive.images.length - saved + (archive.markdown?.status === 'complete' ? 0 : 1);
+  const summary = archive.images.length > 0
+    ? `Archived ${saved}/${archive.images.length} image${archive.images.length !== 1 ? 's' : ''}`
+    : 'Archived';
+
+  return `
+    <span class="archive-status ${failed > 0 ? 'failed' : ''}" title="${escapeHtml(archive.folder)}">
+      ${summary}
+      ${failed > 0 ? `<button class="link-btn archive-btn" data-id="${tweet.id}">Retry</button>` : ''}
+    </span>
+  `;
+}
+
+// Download a tweet's images and Markdown into its archive folder
+async function archiveTweet(tweetId) {
+  const result = await chrome.runtime.sendMessage({ type: 'ARCHIVE_TWEET', tweetId });
+  const tweet = allTweets.find(t => t.id === tweetId);
+  if (tweet && result.archive) {
+    tweet.archive = result.archive;
+  }
+  if (result.error) {
+    alert(`Archive failed: ${result.error}`);
+  }
+  applyFilters();
+}
+
+// Quoted tweet embedded in a card
+function renderQuotedTweet(quoted) {
+  return `
+    <div class="tweet-quote">
+      <div class="tweet-quote-author">
+        ${escapeHtml(quoted.authorDisplayName || quoted.author)}
+        <span class="username">@${escapeHtml(quoted.author)}</span>
+        ${quoted.url ? `<a href="${escapeHtml(quoted.url)}" target="_blank">View</a>` : ''}
+      </div>
+      <div class="tweet-quote-text">${escapeHtml(quoted.text)}</div>
+    </div>
+  `;
+}
+
+// Conversation in order: the parent tweet, then the author's posts
+function renderThread(tweet) {
+  const { parent, posts } = tweet.thread;
+  return `
+    <div class="tweet-thread">
+      ${parent ? `
+        <div class="thread-parent">
+          <span class="thread-parent-author">Replying to @${escapeHtml(parent.author)}</span>
+          <div class="thread-parent-text">${escapeHtml(parent.text)}</div>
+        </div>
+      ` : ''}
+      ${posts.map((post, index) => `
+        <div class="thread-post ${post.id === tweet.id ? 'saved' : ''}">
+          <span class="thread-post-index">${index + 1}/${posts.length}</span>
+          <div class="tweet-text">${escapeHtml(post.text)}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Sentiment per ticker for a tweet (see lib/sentiment.js)
+function getSentiment(tweet) {
+  if (!sentimentCache.has(tweet)) {
+    sentimentCache.set(tweet, getTweetSentiment(tweet, settings.tickers));
+  }
+  return sentimentCache.get(tweet);
+}
+
+// Arrow for a ticker's bullish/bearish label; clicking it opens the editor
+function renderSentimentBadge(tweet, ticker) {
+  const label = getSentiment(tweet)[ticker];
+  const source = tweet.sentimentOverrides?.[ticker] ? 'set by you' : 'automatic';
+  const symbol = label === 'bullish' ? '▲' : label === 'bearish' ? '▼' : '•';
+  return `<span class="sentiment-badge ${label}" data-id="${tweet.id}" title="${label[0].toUpperCase()}${label.slice(1)} (${source}) - click to change">${symbol}</span>`;
+}
+
+// Percent move since the tweet for one ticker, from stored snapshots
+function renderPerformance(tweet, ticker) {
+  if (!settings.general.showPerformance) return '';
+
+  const snapshot = tweet.snapshots?.[ticker];
+  const base = snapshot?.atTweet || snapshot?.atSave;
+  if (!base || !snapshot.latest || !base.price) return '';
+
+  const change = ((snapshot.latest.price - base.price) / base.price) * 100;
+  const className = change > 0 ? 'positive' : change < 0 ? 'negative' : '';
+  const label = snapshot.atTweet ? 'tweet' : 'save';
+  const title = `Since ${label}: ${formatPrice(base.price)} → ${formatPrice(snapshot.latest.price)} (updated ${formatDate(snapshot.latest.time)})`;
+
+  return `<span class="ticker-perf ${className}" title="${escapeHtml(title)}">${change >= 0 ? '+' : ''}${change.toFixed(1)}%</span>`;
+}
+
+// Show the watchlist and mark watchlisted tickers on tweet cards
+function renderWatchlist(symbols) {
+  watchlist = new Set(symbols);
+  watchlistEl.innerHTML = symbols.map(symbol => `
+    <span class="watchlist-tag">$${escapeHtml(symbol)}<button data-symbol="${escapeHtml(symbol)}" title="Remove from watchlist">&times;</button></span>
+  `).join('');
+  renderTweets();
+}
+
+// Add the typed ticker to the watchlist
+async function addWatchlistSymbol(e) {
+  e.preventDefault();
+  const symbol = watchlistInput.value.trim();
+  if (!symbol) return;
+
+  const result = await chrome.runtime.sendMessage({ type: 'ADD_TO_WATCHLIST', symbol });
+  if (result.success) {
+    watchlistInput.value = '';
+  } else {
+    alert(result.error);
+  }
+}
+
+// Refresh latest prices for the given tweets
+async function refreshPrices(tweetIds) {
+  const response = await chrome.runtime.sendMessage({ type: 'REFRESH_TWEET_PRICES', tweetIds });
+  (response.tweets || []).forEach(updated => {
+    const index = allTweets.findIndex(t => t.id === updated.id);
+    if (index !== -1) allTweets[index] = updated;
+  });
+  applyFilters();
+}
+
+// Refresh prices for every tweet currently shown
+async function refreshVisiblePrices() {
+  refreshPricesBtn.disabled = true;
+  refreshPricesBtn.textContent = 'Refreshing...';
+  try {
+    await refreshPrices(filteredTweets.filter(t => t.tickers.length > 0).map(t => t.id));
+  } finally {
+    refreshPricesBtn.disabled = false;
+    refreshPricesBtn.textContent = 'Refresh Prices';
+  }
+}
+
+// Show edit tweet modal
+function showEditTweetModal(tweetId) {
+  const tweet = allTweets.find(t => t.id === tweetId);
+  if (!tweet) return;
+
+  currentEditTweet = tweetId;
+  editTweetAuthor.textContent = `@${tweet.author}`;
+  editTweetUpdated.textContent = tweet.updatedAt ? `Edited ${formatDate(tweet.updatedAt)}` : '';
+  editTweetText.textContent = tweet.text;
+  editTweetActionable.checked = !!tweet.actionable;
+  editTweetTickers.value = tweet.tickers.join(', ');
+  renderSentimentOverrides(tweet);
+  editTweetTags.value = (tweet.tags || []).join(', ');
+  editTweetCollections.value = (tweet.collections || []).join(', ');
+  editTweetComment.value = tweet.comment || '';
+
+  editTweetModal.classList.add('visible');
+  editTweetComment.focus();
+}
+
+// One Auto/Bullish/Bearish/Neutral choice per ticker of the tweet being edited
+function renderSentimentOverrides(tweet) {
+  const classified = classifyTweetSentiment(tweet.text, tweet.tickers, settings.tickers);
+  editTweetSentimentGroup.style.display = tweet.tickers.length > 0 ? '' : 'none';
+  editTweetSentiment.innerHTML = tweet.tickers.map(ticker => `
+    <label class="sentiment-override">
+      <span class="ticker-tag">$${escapeHtml(ticker)}</span>
+      <select data-ticker="${escapeHtml(ticker)}">
+        <option value="">Auto (${classified[ticker]})</option>
+        ${SENTIMENT_LABELS.map(label => `
+          <option value="${label}" ${tweet.sentimentOverrides?.[ticker] === label ? 'selected' : ''}>${label[0].toUpperCase()}${label.slice(1)}</option>
+        `).join('')}
+      </select>
+    </label>
+  `).join('');
+}
+
+// Tweet tags or collection names in use, most used first
+function getTweetLabelNames(field) {
+  const counts = new Map();
+  allTweets.forEach(tweet => (tweet[field] || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+// Offer completions for the label being typed in an edit modal input
+function updateLabelSuggestions(input, field) {
+  document.getElementById(input.getAttribute('list')).innerHTML = completeTweetLabels(input.value, getTweetLabelNames(field))
+    .map(value => `<option value="${escapeHtml(value)}"></option>`).join('');
+}
+
+// Close edit tweet modal
+function closeEditTweetModal() {
+  editTweetModal.classList.remove('visible');
+  currentEditTweet = null;
+}
+
+// Save tweet from modal
+async function saveTweetFromModal() {
+  if (!currentEditTweet) return;
+
+  const tickersInput = editTweetTickers.value.trim();
+  const result = await chrome.runtime.sendMessage({
+    type: 'UPDATE_TWEET',
+    tweetId: currentEditTweet,
+    data: {
+      comment: editTweetComment.value,
+      actionable: editTweetActionable.checked,
+      tickers: tickersInput ? tickersInput.split(',').map(t => t.trim()).filter(t => t) : [],
+      tags: parseTweetLabels(editTweetTags.value),
+      collections: parseTweetLabels(editTweetCollections.value),
+      sentimentOverrides: Object.fromEntries([...editTweetSentiment.querySelectorAll('select')]
+        .map(select => [select.dataset.ticker, select.value || null]))
+    }
   });
+
+  if (!result.success) {
+    alert(`Update failed: ${result.error}`);
+    return;
+  }
+
+  const index = allTweets.findIndex(t => t.id === result.tweet.id);
+  if (index !== -1) allTweets[index] = result.tweet;
+
+  closeEditTweetModal();
+  populateFilters();
+  applyFilters();
 }
 
 // Delete a tweet
@@ -192,16 +1100,50 @@ async function deleteTweet(tweetId) {
   await loadTweets();
 }
 
-// Export to markdown
-async function exportMarkdown() {
-  const response = await chrome.runtime.sendMessage({ type: 'EXPORT_MARKDOWN' });
-  const blob = new Blob([response.markdown], { type: 'text/markdown' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `ticker-tracker-export-${new Date().toISOString().split('T')[0]}.md`;
-  a.click();
-  URL.revokeObjectURL(url);
+// Show export modal for the tweets the current filters show
+async function showExportModal(tweetIds = null) {
+  if (!exportColumns.hasChildNodes()) {
+    const { columns, defaults } = await chrome.runtime.sendMessage({ type: 'GET_EXPORT_COLUMNS' });
+    exportColumns.innerHTML = Object.entries(columns).map(([id, label]) => `
+      <label class="checkbox-label">
+        <input type="checkbox" value="${escapeHtml(id)}" ${defaults.includes(id) ? 'checked' : ''}>
+        <span>${escapeHtml(label)}</span>
+      </label>
+    `).join('');
+  }
+
+  exportTweetIds = tweetIds || filteredTweets.map(t => t.id);
+  const scope = tweetIds ? ' (selected)' : filteredTweets.length !== allTweets.length ? ' (filtered)' : '';
+  exportSummary.textContent = `${exportTweetIds.length} tweet${exportTweetIds.length !== 1 ? 's' : ''}${scope}`;
+  updateExportColumns();
+  exportModal.classList.add('visible');
+}
+
+// Close export modal
+function closeExportModal() {
+  exportModal.classList.remove('visible');
+}
+
+// Columns only apply to the spreadsheet formats
+function updateExportColumns() {
+  exportColumnsGroup.style.display = ['csv', 'xlsx'].includes(exportFormat.value) ? '' : 'none';
+}
+
+// Export the filtered tweets in the chosen format
+async function exportTweets() {
+  const columns = [...exportColumns.querySelectorAll('input:checked')].map(input => input.value);
+  const result = await chrome.runtime.sendMessage({
+    type: 'EXPORT_TWEETS',
+    format: exportFormat.value,
+    tweetIds: exportTweetIds,
+    columns
+  });
+
+  if (!result.success) {
+    alert(`Export failed: ${result.error}`);
+    return;
+  }
+  closeExportModal();
 }
 
 // Utility functions
@@ -211,6 +1153,10 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+function formatPrice(value) {
+  return `$${Number(value).toFixed(2)}`;
+}
+
 function formatDate(isoString) {
   const date = new Date(isoString);
   const now = new Date();
@@ -238,16 +1184,57 @@ function switchTab(tabId) {
 
   if (tabId === 'authors') {
     loadAuthors();
+  } else if (tabId === 'journal') {
+    renderJournal();
+  } else if (tabId === 'ticker') {
+    renderTickerView();
+  } else if (tabId === 'analytics') {
+    renderAnalytics();
+  } else if (tabId === 'tweets') {
+    renderVisibleTweets(true);
   }
 }
 
 // Load authors from storage
 async function loadAuthors() {
-  const response = await chrome.runtime.sendMessage({ type: 'GET_AUTHOR_TAGS' });
-  allAuthors = response.authorTags || {};
-  filteredAuthors = Object.values(allAuthors);
-  renderAuthors();
-  updateAuthorCounts();
+  const [tagsResponse, scoresResponse] = await Promise.all([
+    chrome.runtime.sendMessage({ type: 'GET_AUTHOR_TAGS' }),
+    chrome.runtime.sendMessage({ type: 'GET_AUTHOR_SCORES' })
+  ]);
+  allAuthors = tagsResponse.authorTags || {};
+  authorScores = scoresResponse.scores || {};
+  applyAuthorFilters();
+}
+
+// Fetch due horizon prices and rescore every author
+async function scoreAuthors() {
+  scoreAuthorsBtn.disabled = true;
+  scoreAuthorsBtn.textContent = 'Scoring...';
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'REFRESH_AUTHOR_SCORES' });
+    authorScores = response.scores || {};
+    applyAuthorFilters();
+  } finally {
+    scoreAuthorsBtn.disabled = false;
+    scoreAuthorsBtn.textContent = 'Score Calls';
+  }
+}
+
+// Sort value for an author under the selected metric; unscored authors sort last
+function getAuthorSortValue(author, metric) {
+  const score = authorScores[author.handle];
+  switch (metric) {
+    case 'hitRate':
+      return score?.hitRate ?? -Infinity;
+    case 'avg1d':
+    case 'avg1w':
+    case 'avg1m':
+      return score?.avgReturn[metric.slice(3)] ?? -Infinity;
+    case 'calls':
+      return score?.scoredCalls || 0;
+    default:
+      return author.tweetCount || 0;
+  }
 }
 
 // Apply author filters
@@ -267,11 +1254,14 @@ function applyAuthorFilters() {
     return true;
   });
 
-  // Sort by tweet count descending
-  filteredAuthors.sort((a, b) => (b.tweetCount || 0) - (a.tweetCount || 0));
+  // Sort by the selected metric, descending
+  const metric = authorSort.value;
+  filteredAuthors.sort((a, b) => getAuthorSortValue(b, metric) - getAuthorSortValue(a, metric));
 
+  pruneSelection(selectedAuthors, filteredAuthors.map(author => author.handle));
   renderAuthors();
   updateAuthorCounts();
+  updateAuthorBulkBar();
 }
 
 // Update author counts display
@@ -307,8 +1297,9 @@ function renderAuthors() {
   }
 
   authorList.innerHTML = filteredAuthors.map(author => `
-    <div class="author-card" data-handle="${escapeHtml(author.handle)}">
+    <div class="author-card ${selectedAuthors.has(author.handle) ? 'selected' : ''}" data-handle="${escapeHtml(author.handle)}">
       <div class="author-card-header">
+        <input type="checkbox" class="select-card" data-handle="${escapeHtml(author.handle)}" ${selectedAuthors.has(author.handle) ? 'checked' : ''} title="Select (Shift-click for a range)">
         <div class="author-card-info">
           <span class="author-card-name">${escapeHtml(author.displayName || author.handle)}</span>
           <span class="author-card-handle">@${escapeHtml(author.handle)}</span>
@@ -326,6 +1317,7 @@ function renderAuthors() {
       ${author.notes ? `
         <div class="author-card-notes">${escapeHtml(author.notes)}</div>
       ` : ''}
+      ${renderAuthorScore(authorScores[author.handle])}
       <div class="author-card-footer">
         <span class="author-card-date">Added ${formatDate(author.createdAt)}</span>
       </div>
@@ -341,6 +1333,664 @@ function renderAuthors() {
   });
 }
 
+// Format a percent return with sign
+function formatReturn(value) {
+  if (value === null || value === undefined) return '–';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+function returnClass(value) {
+  if (value === null || value === undefined) return '';
+  return value > 0 ? 'positive' : value < 0 ? 'negative' : '';
+}
+
+// Track record block for an author card
+function renderAuthorScore(score) {
+  if (!score || score.scoredCalls === 0) return '';
+
+  const describeCall = call => `$${escapeHtml(call.ticker)} <span class="${returnClass(call.finalReturn)}">${formatReturn(call.finalReturn)}</span>`;
+
+  return `
+    <div class="author-score">
+      <div class="author-score-metrics">
+        <span class="author-score-metric"><strong>${score.scoredCalls}</strong> calls</span>
+        <span class="author-score-metric"><strong>${Math.round(score.hitRate * 100)}%</strong> hit rate</span>
+        <span class="author-score-metric">1D <strong class="${returnClass(score.avgReturn['1d'])}">${formatReturn(score.avgReturn['1d'])}</strong></span>
+        <span class="author-score-metric">1W <strong class="${returnClass(score.avgReturn['1w'])}">${formatReturn(score.avgReturn['1w'])}</strong></span>
+        <span class="author-score-metric">1M <strong class="${returnClass(score.avgReturn['1m'])}">${formatReturn(score.avgReturn['1m'])}</strong></span>
+      </div>
+      <div class="author-score-calls">
+        ${score.best ? `<span>Best: ${describeCall(score.best)}</span>` : ''}
+        ${score.worst ? `<span>Worst: ${describeCall(score.worst)}</span>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Trade Journal Functions
+
+// Latest stored price for a ticker of a tweet, used to mark open trades
+function getJournalMarkPrice(tweet, ticker) {
+  return tweet.snapshots?.[ticker]?.latest?.price ?? null;
+}
+
+// P&L as a signed percent, with the amount when the entry has a size
+function formatPnl(pnl) {
+  if (!pnl) return '–';
+  const amount = pnl.amount !== null ? ` (${pnl.amount >= 0 ? '+' : '-'}${formatPrice(Math.abs(pnl.amount))})` : '';
+  return `${formatReturn(pnl.percent)}${amount}`;
+}
+
+// Price and date for one side of a trade
+function formatJournalFill(price, date) {
+  if (!price) return '–';
+  return `${formatPrice(price)}${date ? ` <span class="journal-date">${escapeHtml(date)}</span>` : ''}`;
+}
+
+// Render actionable tweets as journal entries, grouped by ticker
+function renderJournal() {
+  const status = journalStatusFilter.value;
+  const entries = allTweets
+    .filter(tweet => tweet.actionable)
+    .map(tweet => {
+      const entry = getJournalEntry(tweet);
+      return { tweet, entry, pnl: getJournalPnl(entry, getJournalMarkPrice(tweet, entry.ticker)) };
+    });
+  const shown = entries.filter(({ entry }) => !status || entry.status === status);
+
+  const closed = entries.filter(({ entry, pnl }) => entry.status === 'closed' && pnl);
+  const realized = closed.reduce((sum, { pnl }) => sum + (pnl.amount || 0), 0);
+  const wins = closed.filter(({ pnl }) => pnl.percent > 0).length;
+  const count = status => entries.filter(({ entry }) => entry.status === status).length;
+
+  journalTotalCount.textContent = `${entries.length} entr${entries.length !== 1 ? 'ies' : 'y'}`;
+  journalSummary.innerHTML = entries.length > 0 ? `
+    ${count('idea')} ideas · ${count('open')} open · ${count('closed')} closed
+    ${closed.length > 0 ? ` · ${Math.round((wins / closed.length) * 100)}% winners · realized <span class="${returnClass(realized)}">${realized >= 0 ? '+' : '-'}${formatPrice(Math.abs(realized))}</span>` : ''}
+  ` : '';
+
+  if (shown.length === 0) {
+    journalList.innerHTML = `
+      <div class="empty-state">
+        <p>${entries.length === 0 ? 'No journal entries yet.' : 'No entries match this status.'}</p>
+        ${entries.length === 0 ? '<p>Mark a saved tweet as actionable to start a journal entry for it.</p>' : ''}
+      </div>
+    `;
+    return;
+  }
+
+  // Tickers in order, entries without one last
+  const groups = new Map();
+  shown.forEach(item => {
+    const ticker = item.entry.ticker;
+    if (!groups.has(ticker)) groups.set(ticker, []);
+    groups.get(ticker).push(item);
+  });
+  const tickers = [...groups.keys()].sort((a, b) => (!a) - (!b) || a.localeCompare(b));
+
+  journalList.innerHTML = tickers.map(ticker => {
+    const items = groups.get(ticker);
+    const total = items.reduce((sum, { pnl }) => sum + (pnl?.amount || 0), 0);
+    const hasAmount = items.some(({ pnl }) => pnl && pnl.amount !== null);
+
+    return `
+      <div class="journal-group">
+        <div class="journal-group-header">
+          ${ticker ? `<span class="ticker-tag ${watchlist.has(ticker) ? 'watchlisted' : ''}" data-ticker="${escapeHtml(ticker)}" title="Open $${escapeHtml(ticker)}">$${escapeHtml(ticker)}</span>` : '<span class="no-tickers">No ticker</span>'}
+          <span class="journal-group-stats">
+            ${items.length} entr${items.length !== 1 ? 'ies' : 'y'}
+            ${hasAmount ? ` · P&amp;L <span class="${returnClass(total)}">${total >= 0 ? '+' : '-'}${formatPrice(Math.abs(total))}</span>` : ''}
+          </span>
+        </div>
+        <table class="journal-table">
+          <thead>
+            <tr>
+              <th>Trade</th>
+              <th>Entry</th>
+              <th>Exit</th>
+              <th>Size</th>
+              <th>P&amp;L</th>
+              <th>Source</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${items.map(({ tweet, entry, pnl }) => `
+              <tr>
+                <td>
+                  <span class="journal-direction ${entry.direction}">${entry.direction === 'short' ? 'Short' : 'Long'}</span>
+                  <span class="journal-status ${entry.status}">${entry.status}</span>
+                </td>
+                <td>${formatJournalFill(entry.entryPrice, entry.entryDate)}</td>
+                <td>${formatJournalFill(entry.exitPrice, entry.exitDate)}</td>
+                <td>${entry.size !== null ? entry.size : '–'}</td>
+                <td class="journal-pnl ${pnl ? returnClass(pnl.percent) : ''}" title="${pnl && !pnl.realized ? 'Unrealized, at the latest stored price' : ''}">${formatPnl(pnl)}</td>
+                <td class="journal-source">
+                  <a href="${escapeHtml(tweet.url)}" target="_blank">@${escapeHtml(tweet.author)}</a>
+                  <span class="journal-source-text" title="${escapeHtml(tweet.text)}">${escapeHtml(tweet.text)}</span>
+                </td>
+                <td><button class="btn btn-small edit-journal-btn" data-id="${tweet.id}">Edit</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }).join('');
+}
+
+// Show the journal entry modal for an actionable tweet
+function showJournalModal(tweetId) {
+  const tweet = allTweets.find(t => t.id === tweetId);
+  if (!tweet) return;
+
+  const entry = getJournalEntry(tweet);
+  const priceAtTweet = tweet.snapshots?.[entry.ticker]?.atTweet?.price;
+
+  currentJournalTweet = tweetId;
+  journalTweetAuthor.textContent = `@${tweet.author}`;
+  journalTweetLink.href = tweet.url;
+  journalTweetText.textContent = tweet.text;
+  journalTicker.value = entry.ticker;
+  journalTickerList.innerHTML = tweet.tickers.map(t => `<option value="${escapeHtml(t)}"></option>`).join('');
+  journalDirection.value = entry.direction;
+  journalStatus.value = entry.status;
+  journalEntryPrice.value = entry.entryPrice ?? '';
+  journalEntryPrice.placeholder = priceAtTweet ? `${Number(priceAtTweet).toFixed(2)} at tweet` : '';
+  journalEntryDate.value = entry.entryDate || '';
+  journalExitPrice.value = entry.exitPrice ?? '';
+  journalExitDate.value = entry.exitDate || '';
+  journalSize.value = entry.size ?? '';
+
+  journalModal.classList.add('visible');
+}
+
+// Close journal entry modal
+function closeJournalModal() {
+  journalModal.classList.remove('visible');
+  currentJournalTweet = null;
+}
+
+// Opening or closing a trade fills in today's date when none is set
+function updateJournalDates() {
+  const today = new Date().toLocaleDateString('en-CA');
+  if (journalStatus.value !== 'idea' && !journalEntryDate.value) {
+    journalEntryDate.value = today;
+  }
+  if (journalStatus.value === 'closed' && !journalExitDate.value) {
+    journalExitDate.value = today;
+  }
+}
+
+// Write a journal change and show the updated tweet everywhere
+async function updateJournal(tweetId, data) {
+  const result = await chrome.runtime.sendMessage({ type: 'UPDATE_TWEET', tweetId, data });
+  if (!result.success) {
+    alert(`Update failed: ${result.error}`);
+    return false;
+  }
+
+  const index = allTweets.findIndex(t => t.id === result.tweet.id);
+  if (index !== -1) allTweets[index] = result.tweet;
+
+  applyFilters();
+  renderJournal();
+  return true;
+}
+
+// Save journal entry from modal
+async function saveJournalFromModal() {
+  if (!currentJournalTweet) return;
+
+  const saved = await updateJournal(currentJournalTweet, {
+    journal: {
+      ticker: journalTicker.value.trim(),
+      direction: journalDirection.value,
+      status: journalStatus.value,
+      entryPrice: journalEntryPrice.value,
+      entryDate: journalEntryDate.value,
+      exitPrice: journalExitPrice.value,
+      exitDate: journalExitDate.value,
+      size: journalSize.value
+    }
+  });
+  if (saved) closeJournalModal();
+}
+
+// Clear the trade details; the tweet stays saved but is no longer actionable
+async function removeJournalEntry() {
+  if (!currentJournalTweet) return;
+  if (!confirm('Remove this journal entry? The tweet stays saved but is no longer marked actionable.')) return;
+
+  const removed = await updateJournal(currentJournalTweet, { journal: null, actionable: false });
+  if (removed) closeJournalModal();
+}
+
+// Download the whole journal in the chosen format
+async function exportJournal() {
+  const result = await chrome.runtime.sendMessage({ type: 'EXPORT_JOURNAL', format: journalExportFormat.value });
+  if (!result.success) {
+    alert(`Export failed: ${result.error}`);
+  }
+}
+
+// Ticker Page Functions
+
+// When a tweet was posted, falling back to when it was saved
+function getTweetTime(tweet) {
+  return new Date(tweet.tweetedAt || tweet.savedAt).getTime();
+}
+
+// Open the ticker page for a symbol
+function showTickerView(symbol) {
+  const activeTab = document.querySelector('.tab-content.active')?.id.replace(/-tab$/, '');
+  if (activeTab && activeTab !== 'ticker') {
+    tickerReturnTab = activeTab;
+  }
+  currentTicker = symbol;
+  switchTab('ticker');
+  window.scrollTo(0, 0);
+}
+
+// Keys of a count map, most counted first
+function rankCounts(counts) {
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+// Timeline, top authors, related tickers and chart for the current ticker
+function renderTickerView() {
+  const ticker = currentTicker;
+  const tweets = allTweets
+    .filter(tweet => tweet.tickers.includes(ticker))
+    .sort((a, b) => getTweetTime(b) - getTweetTime(a));
+
+  tickerTitle.innerHTML = `<span class="ticker-tag ${watchlist.has(ticker) ? 'watchlisted' : ''}">$${escapeHtml(ticker)}</span>`;
+
+  const actionable = tweets.filter(tweet => tweet.actionable).length;
+  const authorCounts = new Map();
+  const relatedCounts = new Map();
+  const sentimentCounts = { bullish: 0, bearish: 0, neutral: 0 };
+  tweets.forEach(tweet => {
+    sentimentCounts[getSentiment(tweet)[ticker]]++;
+    authorCounts.set(tweet.author, (authorCounts.get(tweet.author) || 0) + 1);
+    tweet.tickers.filter(t => t !== ticker).forEach(t => relatedCounts.set(t, (relatedCounts.get(t) || 0) + 1));
+  });
+
+  tickerStats.innerHTML = tweets.length > 0 ? `
+    <span>${tweets.length} saved tweet${tweets.length !== 1 ? 's' : ''}</span>
+    <span>${Math.round((actionable / tweets.length) * 100)}% actionable (${actionable})</span>
+    <span>${sentimentCounts.bullish} bullish · ${sentimentCounts.bearish} bearish · ${sentimentCounts.neutral} neutral</span>
+    <span>First mentioned ${new Date(getTweetTime(tweets[tweets.length - 1])).toLocaleDateString()}</span>
+  ` : '<span>No saved tweets mention this ticker.</span>';
+
+  tickerAuthors.innerHTML = rankCounts(authorCounts).slice(0, 10).map(([author, count]) => `
+    <li>
+      <button class="link-btn" data-author="${escapeHtml(author)}" title="Show @${escapeHtml(author)}'s tweets on $${escapeHtml(ticker)}">@${escapeHtml(author)}</button>
+      <span class="ticker-rank-bar" style="width: ${Math.round((count / tweets.length) * 100)}%"></span>
+      <span class="ticker-rank-count">${count}</span>
+    </li>
+  `).join('') || '<li class="no-tickers">None</li>';
+
+  tickerRelated.innerHTML = rankCounts(relatedCounts).slice(0, 10).map(([related, count]) => `
+    <li>
+      <span class="ticker-tag ${watchlist.has(related) ? 'watchlisted' : ''}" data-ticker="${escapeHtml(related)}" title="Open $${escapeHtml(related)}">$${escapeHtml(related)}</span>
+      <span class="ticker-rank-bar" style="width: ${Math.round((count / tweets.length) * 100)}%"></span>
+      <span class="ticker-rank-count">${count}</span>
+    </li>
+  `).join('') || '<li class="no-tickers">None</li>';
+
+  tickerTimeline.innerHTML = tweets.map(tweet => `
+    <li class="ticker-timeline-item ${tweet.actionable ? 'actionable' : ''}" id="ticker-tweet-${escapeHtml(tweet.id)}">
+      <div class="ticker-timeline-meta">
+        <span class="ticker-timeline-date" title="${tweet.tweetedAt ? 'Tweeted' : 'Saved'}">${new Date(getTweetTime(tweet)).toLocaleString()}</span>
+        <span class="username">@${escapeHtml(tweet.author)}</span>
+        ${tweet.actionable ? '<span class="actionable-badge">Actionable</span>' : ''}
+        ${renderPerformance(tweet, ticker)}
+        <a href="${escapeHtml(tweet.url)}" target="_blank" class="btn btn-small">View</a>
+      </div>
+      <div class="tweet-text">${escapeHtml(tweet.text)}</div>
+      ${tweet.comment ? `<div class="tweet-comment"><strong>Note:</strong> ${escapeHtml(tweet.comment)}</div>` : ''}
+    </li>
+  `).join('');
+
+  loadTickerChart(ticker, tweets);
+}
+
+// Fetch price history from the local quote server and draw it with tweet markers
+async function loadTickerChart(ticker, tweets) {
+  const request = ++tickerChartRequest;
+  if (tweets.length === 0) {
+    tickerChart.innerHTML = '';
+    return;
+  }
+
+  tickerChart.innerHTML = '<div class="chart-message">Loading prices...</div>';
+  const start = tweets.reduce((min, tweet) => Math.min(min, getTweetTime(tweet)), Infinity) - 7 * 86400000;
+  const response = await chrome.runtime.sendMessage({ type: 'GET_PRICE_HISTORY', symbol: ticker, start, end: Date.now() });
+  if (request !== tickerChartRequest) return;
+
+  if (!response.success) {
+    tickerChart.innerHTML = `<div class="chart-message">${response.configured === false
+      ? 'Set the local quote server as a quote provider on the options page to see a price chart.'
+      : escapeHtml(response.error)}</div>`;
+    return;
+  }
+
+  tickerChart.innerHTML = renderPriceChart(response.bars, tweets);
+}
+
+// SVG line chart of closes, with a marker at each tweet's tweetedAt
+function renderPriceChart(bars, tweets) {
+  const width = 800;
+  const height = 240;
+  const pad = { top: 12, right: 12, bottom: 24, left: 60 };
+
+  const minTime = bars[0].time;
+  const maxTime = bars[bars.length - 1].time;
+  const closes = bars.map(bar => bar.close);
+  const margin = (Math.max(...closes) - Math.min(...closes)) * 0.05 || 1;
+  const minPrice = Math.min(...closes) - margin;
+  const maxPrice = Math.max(...closes) + margin;
+
+  const x = time => pad.left + ((time - minTime) / (maxTime - minTime || 1)) * (width - pad.left - pad.right);
+  const y = price => pad.top + (1 - (price - minPrice) / (maxPrice - minPrice)) * (height - pad.top - pad.bottom);
+
+  const line = bars.map((bar, i) => `${i === 0 ? 'M' : 'L'}${x(bar.time).toFixed(1)},${y(bar.close).toFixed(1)}`).join('');
+
+  // Each marker sits on the last close at or before the tweet
+  const markers = tweets
+    .filter(tweet => tweet.tweetedAt)
+    .map(tweet => ({ tweet, time: Date.parse(tweet.tweetedAt) }))
+    .filter(({ time }) => time >= minTime && time <= maxTime)
+    .map(({ tweet, time }) => {
+      const bar = bars.filter(b => b.time <= time).pop() || bars[0];
+      const title = `@${tweet.author} · ${new Date(time).toLocaleString()} · ${formatPrice(bar.close)}\n${tweet.text.slice(0, 140)}`;
+      return `
+        <circle class="chart-marker ${tweet.actionable ? 'actionable' : ''}" data-id="${escapeHtml(tweet.id)}" cx="${x(time).toFixed(1)}" cy="${y(bar.close).toFixed(1)}" r="5">
+          <title>${escapeHtml(title)}</title>
+        </circle>
+      `;
+    });
+
+  const dateLabel = time => new Date(time).toLocaleDateString();
+
+  return `
+    <svg class="price-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Price history with saved tweets">
+      <line class="chart-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+      <text class="chart-label" x="${pad.left - 6}" y="${(y(maxPrice - margin) + 4).toFixed(1)}" text-anchor="end">${formatPrice(maxPrice - margin)}</text>
+      <text class="chart-label" x="${pad.left - 6}" y="${(y(minPrice + margin) + 4).toFixed(1)}" text-anchor="end">${formatPrice(minPrice + margin)}</text>
+      <text class="chart-label" x="${pad.left}" y="${height - 6}">${dateLabel(minTime)}</text>
+      <text class="chart-label" x="${width - pad.right}" y="${height - 6}" text-anchor="end">${dateLabel(maxTime)}</text>
+      <path class="chart-line" d="${line}"></path>
+      ${markers.join('')}
+    </svg>
+  `;
+}
+
+// Analytics Functions
+//
+// Every chart is computed from the loaded tweets for the selected period and
+// drawn as inline SVG. Chart elements carry a data-query search that shows
+// the tweets behind them in the Saved Tweets tab.
+
+// Local YYYY-MM-DD, as after: and before: expect
+function formatQueryDate(time) {
+  return new Date(time).toLocaleDateString('en-CA');
+}
+
+// Search terms joined, skipping empty ones
+function joinQuery(...parts) {
+  return parts.filter(Boolean).join(' ');
+}
+
+// Local midnight starting the selected period, or null for all time
+function getAnalyticsStart() {
+  const days = ANALYTICS_WINDOWS[analyticsWindow.value];
+  if (!days) return null;
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - days + 1);
+  return start.getTime();
+}
+
+// Start of the day, or the week from Monday, containing time
+function getBucketStart(time, unit) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  if (unit === 'week') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  return date.getTime();
+}
+
+function getNextBucket(start, unit) {
+  const date = new Date(start);
+  date.setDate(date.getDate() + (unit === 'week' ? 7 : 1));
+  return date.getTime();
+}
+
+function renderChartMessage(message) {
+  return `<div class="chart-message">${escapeHtml(message)}</div>`;
+}
+
+// Draw every chart for the selected period
+function renderAnalytics() {
+  const start = getAnalyticsStart();
+  const tweets = allTweets.filter(tweet => start === null || getTweetTime(tweet) >= start);
+  const periodQuery = start !== null ? `after:${formatQueryDate(start)}` : '';
+
+  const tickers = new Set(tweets.flatMap(tweet => tweet.tickers));
+  const authors = new Set(tweets.map(tweet => tweet.author));
+  const actionable = tweets.filter(tweet => tweet.actionable).length;
+  analyticsSummary.innerHTML = `
+    <span>${tweets.length} tweet${tweets.length !== 1 ? 's' : ''}</span>
+    <span>${tickers.size} ticker${tickers.size !== 1 ? 's' : ''}</span>
+    <span>${authors.size} author${authors.size !== 1 ? 's' : ''}</span>
+    ${tweets.length > 0 ? `<span>${Math.round((actionable / tweets.length) * 100)}% actionable</span>` : ''}
+  `;
+
+  mentionsChart.innerHTML = renderMentionsChart(tweets, start, periodQuery);
+  trendingChart.innerHTML = renderTrendingChart();
+  authorActivityChart.innerHTML = renderAuthorActivityChart(tweets, periodQuery);
+  heatmapChart.innerHTML = renderHeatmap(tweets, periodQuery);
+}
+
+// Daily (weekly past 90 days) mentions of the period's top five tickers
+function renderMentionsChart(tweets, start, periodQuery) {
+  const counts = new Map();
+  tweets.forEach(tweet => tweet.tickers.forEach(ticker => counts.set(ticker, (counts.get(ticker) || 0) + 1)));
+  const top = rankCounts(counts).slice(0, 5).map(([ticker]) => ticker);
+  if (top.length === 0) return renderChartMessage('No tickers mentioned in this period.');
+
+  // reduce, not Math.min(...), which overflows the argument limit on large stores
+  const first = start ?? tweets.reduce((min, tweet) => Math.min(min, getTweetTime(tweet)), Infinity);
+  const unit = Date.now() - first > 90 * DAY_MS ? 'week' : 'day';
+  const buckets = [];
+  for (let bucket = getBucketStart(first, unit); bucket <= Date.now(); bucket = getNextBucket(bucket, unit)) {
+    buckets.push(bucket);
+  }
+  const bucketIndex = new Map(buckets.map((bucket, i) => [bucket, i]));
+
+  const series = top.map(ticker => ({ ticker, counts: buckets.map(() => 0) }));
+  tweets.forEach(tweet => {
+    const i = bucketIndex.get(getBucketStart(getTweetTime(tweet), unit));
+    if (i === undefined) return;
+    series.forEach(line => {
+      if (tweet.tickers.includes(line.ticker)) line.counts[i]++;
+    });
+  });
+
+  const width = 800;
+  const height = 220;
+  const pad = { top: 12, right: 12, bottom: 24, left: 36 };
+  const max = Math.max(1, ...series.flatMap(line => line.counts));
+  const x = i => pad.left + (buckets.length > 1 ? i / (buckets.length - 1) : 0.5) * (width - pad.left - pad.right);
+  const y = value => pad.top + (1 - value / max) * (height - pad.top - pad.bottom);
+  const bucketLabel = bucket => (unit === 'week' ? `week of ${new Date(bucket).toLocaleDateString()}` : new Date(bucket).toLocaleDateString());
+
+  const lines = series.map((line, s) => {
+    const color = CHART_COLORS[s % CHART_COLORS.length];
+    const path = line.counts.map((count, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(count).toFixed(1)}`).join('');
+    const points = line.counts.map((count, i) => count === 0 ? '' : `
+      <circle class="chart-point" cx="${x(i).toFixed(1)}" cy="${y(count).toFixed(1)}" r="4" fill="${color}"
+        data-query="${escapeHtml(`$${line.ticker} after:${formatQueryDate(buckets[i])} before:${formatQueryDate(getNextBucket(buckets[i], unit))}`)}">
+        <title>$${escapeHtml(line.ticker)}: ${count} mention${count !== 1 ? 's' : ''}, ${bucketLabel(buckets[i])}</title>
+      </circle>
+    `).join('');
+    return `<path class="chart-series" d="${path}" stroke="${color}"></path>${points}`;
+  }).join('');
+
+  const legend = series.map((line, s) => `
+    <span class="chart-legend-item" data-query="${escapeHtml(joinQuery(`$${line.ticker}`, periodQuery))}" title="Show these tweets">
+      <span class="chart-swatch" style="background-color: ${CHART_COLORS[s % CHART_COLORS.length]}"></span>$${escapeHtml(line.ticker)}
+      <span class="chart-legend-count">${counts.get(line.ticker)}</span>
+    </span>
+  `).join('');
+
+  return `
+    <svg class="analytics-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Ticker mentions over time">
+      <line class="chart-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+      <text class="chart-label" x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${max}</text>
+      <text class="chart-label" x="${pad.left - 6}" y="${height - pad.bottom}" text-anchor="end">0</text>
+      <text class="chart-label" x="${pad.left}" y="${height - 6}">${bucketLabel(buckets[0])}</text>
+      <text class="chart-label" x="${width - pad.right}" y="${height - 6}" text-anchor="end">${bucketLabel(buckets[buckets.length - 1])}</text>
+      ${lines}
+    </svg>
+    <div class="chart-legend">${legend}</div>
+  `;
+}
+
+// Horizontal bars for rows of { label, value, part, note, title, query };
+// part is an optional share of value drawn in green
+function renderBarChart(rows) {
+  const width = 380;
+  const rowHeight = 24;
+  const labelWidth = 110;
+  const noteWidth = 70;
+  const max = Math.max(1, ...rows.map(row => row.value));
+  const barWidth = value => (value / max) * (width - labelWidth - noteWidth - 8);
+
+  return `
+    <svg class="analytics-svg" viewBox="0 0 ${width} ${rows.length * rowHeight}" role="img">
+      ${rows.map((row, i) => `
+        <g class="chart-row" transform="translate(0, ${i * rowHeight})" data-query="${escapeHtml(row.query)}">
+          <title>${escapeHtml(row.title)}</title>
+          <rect class="chart-row-hit" x="0" y="0" width="${width}" height="${rowHeight}"></rect>
+          <text class="chart-row-label" x="${labelWidth - 8}" y="16" text-anchor="end">${escapeHtml(row.label.length > 14 ? `${row.label.slice(0, 13)}…` : row.label)}</text>
+          <rect class="chart-bar" x="${labelWidth}" y="5" width="${barWidth(row.value).toFixed(1)}" height="14" rx="3"></rect>
+          ${row.part ? `<rect class="chart-bar-part" x="${labelWidth}" y="5" width="${barWidth(row.part).toFixed(1)}" height="14" rx="3"></rect>` : ''}
+          <text class="chart-label" x="${width}" y="16" text-anchor="end">${escapeHtml(row.note)}</text>
+        </g>
+      `).join('')}
+    </svg>
+  `;
+}
+
+// Tickers with the biggest rise in mentions, last 7 days over the 7 before
+function renderTrendingChart() {
+  const current = new Date();
+  current.setHours(0, 0, 0, 0);
+  current.setDate(current.getDate() - 6);
+  const previous = new Date(current);
+  previous.setDate(previous.getDate() - 7);
+
+  const counts = new Map();
+  allTweets.forEach(tweet => {
+    const time = getTweetTime(tweet);
+    if (time < previous.getTime()) return;
+    const week = time >= current.getTime() ? 'now' : 'before';
+    tweet.tickers.forEach(ticker => {
+      const entry = counts.get(ticker) || { now: 0, before: 0 };
+      entry[week]++;
+      counts.set(ticker, entry);
+    });
+  });
+
+  const rising = [...counts.entries()]
+    .map(([ticker, { now, before }]) => ({ ticker, now, before, change: now - before }))
+    .filter(row => row.change > 0)
+    .sort((a, b) => b.change - a.change || b.now - a.now || a.ticker.localeCompare(b.ticker))
+    .slice(0, 10);
+  if (rising.length === 0) return renderChartMessage('No ticker is mentioned more than the week before.');
+
+  return renderBarChart(rising.map(row => ({
+    label: `$${row.ticker}`,
+    value: row.change,
+    note: `+${row.change}${row.before ? ` (${Math.round((row.change / row.before) * 100)}%)` : ' new'}`,
+    title: `$${row.ticker}: ${row.before} → ${row.now} mentions`,
+    query: `$${row.ticker} after:${formatQueryDate(current)}`
+  })));
+}
+
+// Most active authors in the period, with their actionable share
+function renderAuthorActivityChart(tweets, periodQuery) {
+  const activity = new Map();
+  tweets.forEach(tweet => {
+    const entry = activity.get(tweet.author) || { total: 0, actionable: 0 };
+    entry.total++;
+    if (tweet.actionable) entry.actionable++;
+    activity.set(tweet.author, entry);
+  });
+  if (activity.size === 0) return renderChartMessage('No saved tweets in this period.');
+
+  return renderBarChart([...activity.entries()]
+    .sort((a, b) => b[1].total - a[1].total || a[0].localeCompare(b[0]))
+    .slice(0, 10)
+    .map(([author, { total, actionable }]) => ({
+      label: `@${author}`,
+      value: total,
+      part: actionable,
+      note: `${total}`,
+      title: `@${author}: ${total} tweet${total !== 1 ? 's' : ''}, ${actionable} actionable`,
+      query: joinQuery(`author:${author}`, periodQuery)
+    })));
+}
+
+// Weekday by hour grid of tweetedAt, Monday first
+function renderHeatmap(tweets, periodQuery) {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  tweets.filter(tweet => tweet.tweetedAt).forEach(tweet => {
+    const date = new Date(tweet.tweetedAt);
+    grid[(date.getDay() + 6) % 7][date.getHours()]++;
+  });
+  const max = Math.max(...grid.flat());
+  if (max === 0) return renderChartMessage('No tweet times in this period.');
+
+  const cellWidth = 28;
+  const cellHeight = 20;
+  const left = 40;
+  const top = 16;
+  const days = [...SEARCH_DAYS.slice(1), SEARCH_DAYS[0]];
+
+  const cells = grid.map((hours, row) => hours.map((count, hour) => `
+    <rect class="heat-cell ${count === 0 ? 'empty' : ''}" x="${left + hour * cellWidth}" y="${top + row * cellHeight}" width="${cellWidth - 2}" height="${cellHeight - 2}" rx="2"
+      ${count > 0 ? `fill-opacity="${(0.15 + 0.85 * (count / max)).toFixed(2)}" data-query="${escapeHtml(joinQuery(`day:${days[row]} hour:${hour}`, periodQuery))}"` : ''}>
+      <title>${days[row][0].toUpperCase()}${days[row].slice(1)} ${hour}:00-${hour + 1}:00: ${count} tweet${count !== 1 ? 's' : ''}</title>
+    </rect>
+  `).join('')).join('');
+
+  const dayLabels = days.map((day, row) => `
+    <text class="chart-label" x="${left - 6}" y="${top + row * cellHeight + 14}" text-anchor="end">${day[0].toUpperCase()}${day.slice(1)}</text>
+  `).join('');
+  const hourLabels = [0, 3, 6, 9, 12, 15, 18, 21].map(hour => `
+    <text class="chart-label" x="${left + hour * cellWidth}" y="${top - 4}">${hour}:00</text>
+  `).join('');
+
+  return `
+    <svg class="analytics-svg" viewBox="0 0 ${left + 24 * cellWidth} ${top + 7 * cellHeight}" role="img" aria-label="Tweets by weekday and hour">
+      ${hourLabels}
+      ${dayLabels}
+      ${cells}
+    </svg>
+  `;
+}
+
+// Remember the analytics period
+async function changeAnalyticsWindow() {
+  renderAnalytics();
+  await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', data: { dashboard: { analyticsWindow: analyticsWindow.value } } });
+}
+
 // Show edit author modal
 function showEditAuthorModal(handle) {
   const author = allAuthors[handle];
@@ -397,9 +2047,9 @@ async function deleteAuthor() {
   }
 }
 
-// Export authors to JSON
-async function exportAuthors() {
-  const response = await chrome.runtime.sendMessage({ type: 'EXPORT_AUTHOR_TAGS' });
+// Export authors to JSON, all of them or just handles
+async function exportAuthors(handles = null) {
+  const response = await chrome.runtime.sendMessage({ type: 'EXPORT_AUTHOR_TAGS', handles });
   const filename = `ticker-tracker-authors-${new Date().toISOString().split('T')[0]}.json`;
 
   await chrome.runtime.sendMessage({
@@ -435,12 +2085,126 @@ async function handleAuthorImport(event) {
   reader.readAsText(file);
 }
 
+// Download a full backup
+async function downloadBackup() {
+  const filename = `ticker-tracker-backup-${new Date().toISOString().split('T')[0]}.json`;
+  const result = await chrome.runtime.sendMessage({ type: 'DOWNLOAD_BACKUP', filename });
+  if (!result.success) {
+    alert(`Backup failed: ${result.error}`);
+  }
+}
+
+// Summarize restore counts for one record type
+function describeRestoreCounts(label, counts) {
+  const parts = [`${counts.added} added`, `${counts.updated} updated`, `${counts.unchanged} unchanged`];
+  if (counts.removed) parts.push(`${counts.removed} removed`);
+  return `${label}: ${parts.join(', ')}`;
+}
+
+// Show the restore report, including each conflicting record
+function renderRestoreReport(report) {
+  if (!report.success) {
+    restoreReport.innerHTML = `
+      <p class="restore-error">Backup was not restored:</p>
+      <ul>${report.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>
+    `;
+    return;
+  }
+
+  restoreReport.innerHTML = `
+    <p>${report.dryRun ? 'Restore preview' : 'Restored'} (${report.mode}, backup version ${report.fromVersion})</p>
+    <ul>
+      <li>${describeRestoreCounts('Tweets', report.tweets)}</li>
+      <li>${describeRestoreCounts('Authors', report.authors)}</li>
+      <li>Watchlist: ${report.watchlist.added} added${report.watchlist.removed ? `, ${report.watchlist.removed} removed` : ''}</li>
+      <li>Settings: ${report.settings.length > 0 ? escapeHtml(report.settings.join(', ')) : 'none'}</li>
+    </ul>
+    ${report.conflicts.length > 0 ? `
+      <p>${report.conflicts.length} conflict${report.conflicts.length !== 1 ? 's' : ''}:</p>
+      <ul class="restore-conflicts">
+        ${report.conflicts.map(c => `<li>${c.type} ${escapeHtml(c.id)} (${escapeHtml(c.label)}): ${escapeHtml(c.resolution)}</li>`).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
+
+// Validate and preview a backup, then restore it after confirmation
+async function handleBackupRestore(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const json = await file.text();
+  const mode = restoreMode.value;
+  event.target.value = '';
+
+  const preview = await chrome.runtime.sendMessage({ type: 'RESTORE_BACKUP', json, mode, dryRun: true });
+  renderRestoreReport(preview);
+  if (!preview.success) return;
+
+  const warning = mode === 'replace'
+    ? 'Replace ALL current tweets, authors and settings with this backup?'
+    : `Merge this backup? ${preview.conflicts.length} conflicting record(s) will be replaced by the backup.`;
+  if (!confirm(warning)) return;
+
+  const report = await chrome.runtime.sendMessage({ type: 'RESTORE_BACKUP', json, mode });
+  renderRestoreReport(report);
+  if (report.success) {
+    await loadTweets();
+  }
+}
+
 // Event listeners - Tweets Tab
-searchInput.addEventListener('input', applyFilters);
+searchInput.addEventListener('input', () => {
+  scheduleApplyFilters();
+  updateSearchSuggestions();
+});
+searchInput.addEventListener('keydown', handleSearchKeydown);
+searchInput.addEventListener('blur', () => setTimeout(hideSearchSuggestions, 150));
+searchSuggestions.addEventListener('mousedown', (e) => {
+  const item = e.target.closest('li[data-text]');
+  if (item) {
+    e.preventDefault();
+    applySearchSuggestion(item.dataset.text);
+  }
+});
+document.getElementById('searchHelpBtn').addEventListener('click', () => searchHelp.classList.toggle('visible'));
+document.getElementById('saveSearchBtn').addEventListener('click', saveCurrentSearch);
+savedSearchesEl.addEventListener('click', (e) => {
+  const removeBtn = e.target.closest('.remove-search');
+  if (removeBtn) {
+    e.stopPropagation();
+    removeSavedSearch(removeBtn.dataset.name);
+    return;
+  }
+  const chip = e.target.closest('.saved-search-chip');
+  if (chip) {
+    searchInput.value = chip.dataset.query;
+    applyFilters();
+  }
+});
+sortOrder.addEventListener('change', changeSortOrder);
+tweetList.addEventListener('click', handleTweetListClick);
+document.getElementById('selectAllTweetsBtn').addEventListener('click', selectAllTweets);
+tweetBulkBar.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-bulk]');
+  if (button) runTweetBulkAction(button.dataset.bulk);
+});
+window.addEventListener('scroll', scheduleVisibleTweets, { passive: true });
+window.addEventListener('resize', () => renderVisibleTweets(true));
 tickerFilter.addEventListener('change', applyFilters);
 authorFilter.addEventListener('change', applyFilters);
+collectionFilter.addEventListener('change', applyFilters);
+sentimentFilter.addEventListener('change', applyFilters);
 actionableFilter.addEventListener('change', applyFilters);
-exportBtn.addEventListener('click', exportMarkdown);
+exportBtn.addEventListener('click', () => showExportModal());
+refreshPricesBtn.addEventListener('click', refreshVisiblePrices);
+watchlistForm.addEventListener('submit', addWatchlistSymbol);
+watchlistEl.addEventListener('click', (e) => {
+  const removeBtn = e.target.closest('button[data-symbol]');
+  if (removeBtn) {
+    chrome.runtime.sendMessage({ type: 'REMOVE_FROM_WATCHLIST', symbol: removeBtn.dataset.symbol });
+  }
+});
 
 // Event listeners - Tab switching
 tabButtons.forEach(btn => {
@@ -449,9 +2213,111 @@ tabButtons.forEach(btn => {
 
 // Event listeners - Authors Tab
 authorSearchInput.addEventListener('input', applyAuthorFilters);
-exportAuthorsBtn.addEventListener('click', exportAuthors);
+authorSort.addEventListener('change', applyAuthorFilters);
+scoreAuthorsBtn.addEventListener('click', scoreAuthors);
+exportAuthorsBtn.addEventListener('click', () => exportAuthors());
+authorList.addEventListener('click', (e) => {
+  const checkbox = e.target.closest('.select-card');
+  if (!checkbox) return;
+  const handles = filteredAuthors.map(author => author.handle);
+  lastAuthorSelection = selectCards(selectedAuthors, handles, handles.indexOf(checkbox.dataset.handle), checkbox.checked, e.shiftKey ? lastAuthorSelection : null);
+  authorList.querySelectorAll('.author-card').forEach(card => {
+    const selected = selectedAuthors.has(card.dataset.handle);
+    card.classList.toggle('selected', selected);
+    card.querySelector('.select-card').checked = selected;
+  });
+  updateAuthorBulkBar();
+});
+document.getElementById('selectAllAuthorsBtn').addEventListener('click', () => {
+  filteredAuthors.forEach(author => selectedAuthors.add(author.handle));
+  renderAuthors();
+  updateAuthorBulkBar();
+});
+authorBulkBar.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-bulk]');
+  if (button) runAuthorBulkAction(button.dataset.bulk);
+});
 importAuthorsFile.addEventListener('change', handleAuthorImport);
 
+// Event listeners - Journal Tab
+journalStatusFilter.addEventListener('change', renderJournal);
+exportJournalBtn.addEventListener('click', exportJournal);
+journalList.addEventListener('click', (e) => {
+  const tickerTag = e.target.closest('.ticker-tag[data-ticker]');
+  if (tickerTag) {
+    showTickerView(tickerTag.dataset.ticker);
+    return;
+  }
+  const button = e.target.closest('.edit-journal-btn');
+  if (button) showJournalModal(button.dataset.id);
+});
+
+// Event listeners - Analytics Tab
+analyticsWindow.addEventListener('change', changeAnalyticsWindow);
+document.getElementById('analytics-tab').addEventListener('click', (e) => {
+  const target = e.target.closest('[data-query]');
+  if (target) showTweetsForQuery(target.dataset.query);
+});
+
+// Event listeners - Ticker Page
+document.getElementById('tickerBackBtn').addEventListener('click', () => switchTab(tickerReturnTab));
+document.getElementById('tickerSearchBtn').addEventListener('click', () => showTweetsForQuery(`$${currentTicker}`));
+document.getElementById('ticker-tab').addEventListener('click', (e) => {
+  const tickerTag = e.target.closest('.ticker-tag[data-ticker]');
+  if (tickerTag) {
+    showTickerView(tickerTag.dataset.ticker);
+    return;
+  }
+  const authorLink = e.target.closest('[data-author]');
+  if (authorLink) {
+    showTweetsForQuery(`$${currentTicker} author:${authorLink.dataset.author}`);
+    return;
+  }
+  const marker = e.target.closest('.chart-marker');
+  if (marker) {
+    const item = document.getElementById(`ticker-tweet-${marker.dataset.id}`);
+    if (item) {
+      item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      item.classList.add('highlight');
+      setTimeout(() => item.classList.remove('highlight'), 1500);
+    }
+  }
+});
+
+// Event listeners - Settings Tab
+document.getElementById('openOptionsBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+document.getElementById('downloadBackupBtn').addEventListener('click', downloadBackup);
+restoreBackupFile.addEventListener('change', handleBackupRestore);
+
+// Event listeners - Edit Tweet Modal
+document.getElementById('closeEditTweetModal').addEventListener('click', closeEditTweetModal);
+document.getElementById('cancelEditTweetBtn').addEventListener('click', closeEditTweetModal);
+document.getElementById('saveTweetBtn').addEventListener('click', saveTweetFromModal);
+editTweetTags.addEventListener('input', () => updateLabelSuggestions(editTweetTags, 'tags'));
+editTweetCollections.addEventListener('input', () => updateLabelSuggestions(editTweetCollections, 'collections'));
+editTweetModal.addEventListener('click', (e) => {
+  if (e.target === editTweetModal) closeEditTweetModal();
+});
+
+// Event listeners - Export Modal
+document.getElementById('closeExportModal').addEventListener('click', closeExportModal);
+document.getElementById('cancelExportBtn').addEventListener('click', closeExportModal);
+document.getElementById('confirmExportBtn').addEventListener('click', exportTweets);
+exportFormat.addEventListener('change', updateExportColumns);
+exportModal.addEventListener('click', (e) => {
+  if (e.target === exportModal) closeExportModal();
+});
+
+// Event listeners - Journal Entry Modal
+document.getElementById('closeJournalModal').addEventListener('click', closeJournalModal);
+document.getElementById('cancelJournalBtn').addEventListener('click', closeJournalModal);
+document.getElementById('saveJournalBtn').addEventListener('click', saveJournalFromModal);
+document.getElementById('removeJournalBtn').addEventListener('click', removeJournalEntry);
+journalStatus.addEventListener('change', updateJournalDates);
+journalModal.addEventListener('click', (e) => {
+  if (e.target === journalModal) closeJournalModal();
+});
+
 // Event listeners - Edit Author Modal
 document.getElementById('closeEditModal').addEventListener('click', closeEditAuthorModal);
 document.getElementById('cancelEditBtn').addEventListener('click', closeEditAuthorModal);
@@ -463,5 +2329,40 @@ editAuthorModal.addEventListener('click', (e) => {
   if (e.target === editAuthorModal) closeEditAuthorModal();
 });
 
+// Re-render when display settings change on the options page
+onSettingsChanged((next, previous) => {
+  settings = next;
+  if (previous?.general?.showPerformance !== next.general.showPerformance) {
+    renderTweets();
+  }
+  if (sortOrder.value !== next.dashboard.sort) {
+    sortOrder.value = next.dashboard.sort;
+    applyFilters();
+  }
+  if (analyticsWindow.value !== next.dashboard.analyticsWindow) {
+    analyticsWindow.value = next.dashboard.analyticsWindow;
+    renderAnalytics();
+  }
+  renderSavedSearches();
+});
+
+// authortag: searches follow tag edits
+onAuthorTagsChanged(tags => {
+  authorTags = tags;
+  if (/authortag:/i.test(searchInput.value)) {
+    applyFilters();
+  }
+});
+
+// The watchlist can also be changed from the popup
+onWatchlistChanged(renderWatchlist);
+
 // Initialize
-loadTweets();
+Promise.all([getStoredSettings(), getStoredWatchlist(), getStoredAuthorTags()]).then(([storedSettings, storedWatchlist, storedAuthorTags]) => {
+  settings = storedSettings;
+  authorTags = storedAuthorTags;
+  sortOrder.value = settings.dashboard.sort;
+  analyticsWindow.value = settings.dashboard.analyticsWindow;
+  renderWatchlist(storedWatchlist);
+  loadTweets();
+});
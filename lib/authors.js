@@ -0,0 +1,21 @@
+// X Tweet Tracker - Author Tags
+// Author tags and notes, stored as { handle: author } under AUTHOR_TAGS_KEY
+// in chrome.storage.local. background.js writes them; content.js keeps a
+// cached copy for the inline author badges.
+
+const AUTHOR_TAGS_KEY = 'authorTags';
+
+// Get all author tags
+async function getStoredAuthorTags() {
+  const result = await chrome.storage.local.get(AUTHOR_TAGS_KEY);
+  return result[AUTHOR_TAGS_KEY] || {};
+}
+
+// Call back with the full author map whenever it changes
+function onAuthorTagsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[AUTHOR_TAGS_KEY]) {
+      callback(changes[AUTHOR_TAGS_KEY].newValue || {});
+    }
+  });
+}
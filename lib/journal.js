@@ -0,0 +1,101 @@
+// X Tweet Tracker - Trade Journal
+// Actionable tweets double as journal entries. The trade details live on the
+// tweet record as `journal`; background.js validates and writes them, the
+// dashboard's Journal tab lists them by ticker. Requires lib/tickers.js.
+//
+//   { ticker, direction, status, entryPrice, entryDate, exitPrice, exitDate, size }
+//
+// Prices and size are numbers or null, dates are YYYY-MM-DD or null.
+
+const JOURNAL_DIRECTIONS = ['long', 'short'];
+const JOURNAL_STATUSES = ['idea', 'open', 'closed'];
+
+// Journal entry for a tweet: its stored details, or a new idea on its first ticker
+function getJournalEntry(tweet) {
+  return {
+    ticker: tweet.tickers[0] || '',
+    direction: 'long',
+    status: 'idea',
+    entryPrice: null,
+    entryDate: null,
+    exitPrice: null,
+    exitDate: null,
+    size: null,
+    ...tweet.journal
+  };
+}
+
+// Check journal details from a message or backup: { entry } or { error }.
+// With the tweet's tickers given, the entry's ticker must be one of them.
+function validateJournalEntry(input, tickers = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'journal must be an object' };
+  }
+
+  const entry = {
+    ticker: normalizeTickerSymbol(input.ticker || ''),
+    direction: input.direction || 'long',
+    status: input.status || 'idea'
+  };
+  if (!entry.ticker) {
+    return { error: 'ticker is required' };
+  }
+  if (tickers && !tickers.includes(entry.ticker)) {
+    return { error: `ticker must be one of the tweet's tickers: ${tickers.join(', ') || 'none'}` };
+  }
+  if (!JOURNAL_DIRECTIONS.includes(entry.direction)) {
+    return { error: `direction must be one of: ${JOURNAL_DIRECTIONS.join(', ')}` };
+  }
+  if (!JOURNAL_STATUSES.includes(entry.status)) {
+    return { error: `status must be one of: ${JOURNAL_STATUSES.join(', ')}` };
+  }
+
+  for (const field of ['entryPrice', 'exitPrice', 'size']) {
+    const value = input[field];
+    if (value === null || value === undefined || value === '') {
+      entry[field] = null;
+    } else if (!Number.isFinite(Number(value)) || Number(value) <= 0) {
+      return { error: `${field} must be a positive number` };
+    } else {
+      entry[field] = Number(value);
+    }
+  }
+
+  for (const field of ['entryDate', 'exitDate']) {
+    const value = input[field];
+    if (value === null || value === undefined || value === '') {
+      entry[field] = null;
+    } else if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      return { error: `${field} must be a date like 2026-01-31` };
+    } else {
+      entry[field] = value;
+    }
+  }
+
+  if (entry.status !== 'idea' && entry.entryPrice === null) {
+    return { error: `${entry.status === 'open' ? 'Open' : 'Closed'} trades need an entry price` };
+  }
+  if (entry.status === 'closed' && entry.exitPrice === null) {
+    return { error: 'Closed trades need an exit price' };
+  }
+
+  return { entry };
+}
+
+// Profit or loss for an entry: { percent, amount, realized }, or null when it
+// has no entry yet. Open trades are marked at markPrice when one is given.
+// amount is null without a size.
+function getJournalPnl(entry, markPrice = null) {
+  if (entry.status === 'idea' || !entry.entryPrice) return null;
+
+  const realized = entry.status === 'closed';
+  const price = realized ? entry.exitPrice : markPrice;
+  if (!price) return null;
+
+  const perShare = entry.direction === 'short' ? entry.entryPrice - price : price - entry.entryPrice;
+  return {
+    percent: (perShare / entry.entryPrice) * 100,
+    amount: entry.size ? perShare * entry.size : null,
+    realized
+  };
+}
@@ -0,0 +1,160 @@
+// X Tweet Tracker - Search Queries
+// Parses the dashboard's search syntax and matches saved tweets against it.
+// Requires lib/tickers.js.
+//
+//   $TSLA $NVDA         mentions any of these tickers
+//   author:foo          saved from @foo (repeat for any of several authors)
+//   authortag:biotech   author has this tag
+//   tag:"to research"   tweet has this tag
+//   collection:shorts   tweet is in this collection
+//   actionable:yes|no   actionable flag
+//   after:2026-01-01    tweeted (or saved, when the tweet time is unknown) on or after
+//   before:2026-02-01   ... before this date
+//   day:tue             tweeted on this weekday (local time)
+//   hour:14             tweeted during this hour, 0-23 (local time)
+//   "exact phrase"      text or note contains the phrase
+//   word                text or note contains the word
+//   -word, -$TSLA, ...  negate any term
+
+const SEARCH_OPERATORS = {
+  author: 'Saved from this author',
+  authortag: 'Author has this tag',
+  tag: 'Tweet has this tag',
+  collection: 'Tweet is in this collection',
+  actionable: 'yes or no',
+  after: 'Tweeted on or after YYYY-MM-DD',
+  before: 'Tweeted before YYYY-MM-DD',
+  day: 'Tweeted on this weekday, mon to sun',
+  hour: 'Tweeted during this hour, 0 to 23'
+};
+
+// day: values in Date.getDay() order
+const SEARCH_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const SEARCH_TOKEN_REGEX = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Split a query into terms: { negated, key, value }. key is 'ticker' for
+// cashtags, an operator name, or 'text' for words and phrases. Cashtags
+// resolve aliases like saved tweets do; ignored symbols are searched as text.
+function parseSearchQuery(query, tickerSettings = DEFAULT_TICKER_SETTINGS) {
+  const terms = [];
+  const errors = [];
+
+  for (const match of String(query || '').matchAll(SEARCH_TOKEN_REGEX)) {
+    const [token, minus, operator, phrase, word] = match;
+    const negated = minus === '-';
+    let key = operator ? operator.toLowerCase() : null;
+    let value = phrase !== undefined ? phrase : word;
+
+    if (key && !SEARCH_OPERATORS[key]) {
+      // Not an operator, e.g. a URL; search for it as text
+      key = null;
+      value = token.replace(/^-/, '');
+    }
+
+    if (!key) {
+      const ticker = phrase === undefined && /^\$\S/.test(value)
+        ? normalizeTicker(value, tickerSettings)
+        : null;
+      if (ticker) {
+        key = 'ticker';
+        value = ticker;
+      } else {
+        key = 'text';
+        value = value.toLowerCase();
+      }
+    } else if (key === 'author') {
+      value = value.replace(/^@/, '').toLowerCase();
+    } else if (key === 'authortag' || key === 'tag' || key === 'collection') {
+      value = value.toLowerCase();
+    } else if (key === 'actionable') {
+      value = value.toLowerCase();
+      if (!['yes', 'no'].includes(value)) {
+        errors.push('actionable: must be yes or no');
+        continue;
+      }
+    } else if (key === 'after' || key === 'before') {
+      const date = parseSearchDate(value);
+      if (!date) {
+        errors.push(`${key}: must be a date like 2026-01-31`);
+        continue;
+      }
+      value = date;
+    } else if (key === 'day') {
+      value = SEARCH_DAYS.indexOf(value.toLowerCase().slice(0, 3));
+      if (value === -1) {
+        errors.push('day: must be a weekday like mon or tue');
+        continue;
+      }
+    } else if (key === 'hour') {
+      value = /^\d{1,2}$/.test(value) ? Number(value) : -1;
+      if (value < 0 || value > 23) {
+        errors.push('hour: must be a whole hour from 0 to 23');
+        continue;
+      }
+    }
+
+    if (value === '' || value === null) continue;
+    terms.push({ negated, key, value });
+  }
+
+  return { terms, errors };
+}
+
+// Local midnight for a YYYY-MM-DD date, or null
+function parseSearchDate(value) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Reject dates the Date constructor rolls over, like 2026-02-30
+  return date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]) ? date.getTime() : null;
+}
+
+// Whether one term matches a tweet; authorTags maps handle to author record
+function matchesSearchTerm(tweet, term, authorTags) {
+  switch (term.key) {
+    case 'ticker':
+      return tweet.tickers.includes(term.value);
+    case 'author':
+      return (tweet.author || '').toLowerCase() === term.value;
+    case 'authortag':
+      return (authorTags[tweet.author]?.tags || []).some(tag => tag.toLowerCase() === term.value);
+    case 'tag':
+    case 'collection':
+      return (tweet[`${term.key}s`] || []).some(label => label.toLowerCase() === term.value);
+    case 'actionable':
+      return !!tweet.actionable === (term.value === 'yes');
+    case 'after':
+      return new Date(tweet.tweetedAt || tweet.savedAt).getTime() >= term.value;
+    case 'before':
+      return new Date(tweet.tweetedAt || tweet.savedAt).getTime() < term.value;
+    // Posting habits only; the save time says nothing about them
+    case 'day':
+      return !!tweet.tweetedAt && new Date(tweet.tweetedAt).getDay() === term.value;
+    case 'hour':
+      return !!tweet.tweetedAt && new Date(tweet.tweetedAt).getHours() === term.value;
+    default: {
+      const haystack = `${tweet.text}\n${tweet.comment || ''}`.toLowerCase();
+      return haystack.includes(term.value);
+    }
+  }
+}
+
+// Whether a tweet matches parsed terms. Tickers, authors, tags and
+// collections each match any of their values; every other term must match.
+function matchesSearchQuery(tweet, terms, authorTags = {}) {
+  const anyOf = {};
+
+  for (const term of terms) {
+    const matched = matchesSearchTerm(tweet, term, authorTags);
+    if (term.negated) {
+      if (matched) return false;
+    } else if (['ticker', 'author', 'authortag', 'tag', 'collection'].includes(term.key)) {
+      anyOf[term.key] = anyOf[term.key] || matched;
+    } else if (!matched) {
+      return false;
+    }
+  }
+
+  return Object.values(anyOf).every(Boolean);
+}
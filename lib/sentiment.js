@@ -0,0 +1,157 @@
+// X Tweet Tracker - Sentiment
+// Scores saved tweets as bullish, bearish or neutral per ticker with a small
+// word and emoji lexicon; nothing leaves the browser. Scores are computed
+// when read, so a lexicon change applies to every saved tweet. Hand-set
+// labels live on the tweet record as `sentimentOverrides` ({ TICKER: label })
+// and win over the lexicon. Requires lib/tickers.js.
+
+const SENTIMENT_LABELS = ['bullish', 'bearish', 'neutral'];
+
+// Multi-word phrases, matched before single words so "short squeeze" isn't
+// also counted as "short". Weight 0 just keeps the words from counting.
+const SENTIMENT_PHRASES = [
+  ['short squeeze', 2],
+  ['short term', 0],
+  ['short-term', 0],
+  ['long term', 0],
+  ['long-term', 0],
+  ['breaking out', 2],
+  ['breaking down', -2],
+  ['buy the dip', 2],
+  ['to the moon', 2],
+  ['all time high', 1],
+  ['price target', 1],
+  ['pt raised', 2],
+  ['raised pt', 2],
+  ['raises pt', 2],
+  ['pt cut', -2],
+  ['cut pt', -2],
+  ['cuts pt', -2],
+  ['pt lowered', -2],
+  ['lowered pt', -2],
+  ['taking profits', -1],
+  ['take profits', -1]
+].map(([phrase, weight]) => [new RegExp(`(^|[^a-z'])${phrase.replace(/[-\s]/g, m => (m === '-' ? '-' : '\\s+'))}(?![a-z'])`, 'g'), weight]);
+
+const SENTIMENT_WORDS = {
+  calls: 2, long: 1, buy: 1, buying: 1, bought: 1, adding: 1, added: 1,
+  accumulate: 1, accumulating: 1, bullish: 2, bull: 1, bulls: 1,
+  breakout: 2, moon: 2, mooning: 2, rip: 1, ripping: 2, squeeze: 1,
+  upgrade: 2, upgraded: 2, beat: 1, beats: 1, pt: 1, undervalued: 2,
+  higher: 1, green: 1, oversold: 1,
+  puts: -2, short: -2, shorts: -2, shorting: -2, shorted: -2, sell: -1,
+  selling: -1, sold: -1, bearish: -2, bear: -1, bears: -1, breakdown: -2,
+  dump: -2, dumping: -2, crash: -2, crashing: -2, overvalued: -2,
+  downgrade: -2, downgraded: -2, miss: -1, missed: -1, lower: -1, red: -1,
+  rug: -2, bagholder: -2, bagholders: -2, fade: -1, fading: -1, trim: -1,
+  trimmed: -1, overbought: -1
+};
+
+const SENTIMENT_EMOJI = {
+  '🚀': 2, '📈': 2, '🐂': 2, '🌕': 2, '💎': 1, '🔥': 1, '🟢': 1, '✅': 1, '💰': 1, '🤑': 1,
+  '📉': -2, '🐻': -2, '💩': -2, '☠️': -2, '🔴': -1, '🩸': -1, '⚠️': -1, '🚨': -1, '🤡': -1, '💀': -1
+};
+
+// A negation up to two words before a lexicon word flips it ("not buying")
+const SENTIMENT_NEGATIONS = new Set(['not', 'no', "don't", 'dont', 'never', "isn't", "won't", 'wont', 'without']);
+
+// Lexicon score for a piece of text; above zero is bullish, below bearish
+function scoreSentimentText(text) {
+  let score = 0;
+  let lower = String(text || '').toLowerCase().replace(/[‘’]/g, "'");
+
+  Object.entries(SENTIMENT_EMOJI).forEach(([emoji, weight]) => {
+    score += weight * (lower.split(emoji).length - 1);
+  });
+
+  SENTIMENT_PHRASES.forEach(([regex, weight]) => {
+    lower = lower.replace(regex, (match, before) => {
+      score += weight;
+      return `${before} `;
+    });
+  });
+
+  // Cashtags are the subjects, not sentiment words ($PUT, $BEAR)
+  const words = lower.replace(/\$[a-z][\w.-]*/g, ' ').match(/[a-z']+/g) || [];
+  words.forEach((word, i) => {
+    const weight = SENTIMENT_WORDS[word];
+    if (!weight) return;
+    const negated = words.slice(Math.max(0, i - 2), i).some(w => SENTIMENT_NEGATIONS.has(w));
+    score += negated ? -weight : weight;
+  });
+
+  return score;
+}
+
+function sentimentLabel(score) {
+  return score > 0 ? 'bullish' : score < 0 ? 'bearish' : 'neutral';
+}
+
+// Tickers a piece of text names, out of those being classified. Cashtags go
+// through the aliases and ignore list as when the tweet was saved.
+function namedSentimentTickers(text, scores, tickerSettings) {
+  return (text.match(/\$[A-Za-z][\w.-]*/g) || [])
+    .map(cashtag => normalizeTicker(cashtag, tickerSettings))
+    .filter(ticker => ticker && ticker in scores);
+}
+
+// Lexicon labels for each ticker: { TICKER: label }. Each sentence is split
+// into clauses at commas, "and", "but" and the like, so "long $AAPL and short
+// $META" scores the two apart. A clause's score counts for the tickers it
+// names; a list of bare cashtags ("bought $AAPL, $MSFT and $GOOG") shares the
+// score of the clause next to it. Clauses naming no ticker count for every
+// ticker in the sentence, and sentences naming none for every ticker.
+function classifyTweetSentiment(text, tickers, tickerSettings = DEFAULT_TICKER_SETTINGS) {
+  let sharedScore = 0;
+  const scores = Object.fromEntries(tickers.map(ticker => [ticker, 0]));
+
+  // Periods only end a sentence before whitespace, so $4.50 and BRK.B stay whole
+  String(text || '').split(/[!?;\n]+|\.(?=\s|$)/).forEach(sentence => {
+    const groups = [];
+    let pending = [];
+    let unnamedScore = 0;
+
+    // Commas between digits are thousands separators, not clause breaks
+    sentence.split(/,(?!\d)|\b(?:and|but|while|whereas)\b/i).forEach(clause => {
+      const score = scoreSentimentText(clause);
+      const named = namedSentimentTickers(clause, scores, tickerSettings);
+      if (named.length === 0) {
+        unnamedScore += score;
+      } else if (score !== 0) {
+        groups.push({ tickers: [...pending, ...named], score });
+        pending = [];
+      } else if (groups.length > 0) {
+        groups[groups.length - 1].tickers.push(...named);
+      } else {
+        pending.push(...named);
+      }
+    });
+
+    groups.forEach(group => {
+      new Set(group.tickers).forEach(ticker => {
+        scores[ticker] += group.score;
+      });
+    });
+    if (unnamedScore === 0) return;
+
+    const named = new Set(namedSentimentTickers(sentence, scores, tickerSettings));
+    if (named.size === 0) {
+      sharedScore += unnamedScore;
+    } else {
+      named.forEach(ticker => {
+        scores[ticker] += unnamedScore;
+      });
+    }
+  });
+
+  return Object.fromEntries(tickers.map(ticker => [ticker, sentimentLabel(scores[ticker] + sharedScore)]));
+}
+
+// Effective label per ticker of a saved tweet, with overrides applied
+function getTweetSentiment(tweet, tickerSettings = DEFAULT_TICKER_SETTINGS) {
+  const classified = classifyTweetSentiment(tweet.text, tweet.tickers, tickerSettings);
+  return Object.fromEntries(tweet.tickers.map(ticker => [
+    ticker,
+    SENTIMENT_LABELS.includes(tweet.sentimentOverrides?.[ticker]) ? tweet.sentimentOverrides[ticker] : classified[ticker]
+  ]));
+}
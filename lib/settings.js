@@ -0,0 +1,279 @@
+// X Tweet Tracker - Settings
+// Every configurable behavior lives in one object under SETTINGS_KEY in
+// chrome.storage.local. background.js validates and writes it; content.js,
+// the popup, the dashboard and the options page read it and follow changes
+// through chrome.storage.onChanged. Requires lib/tickers.js.
+
+const SETTINGS_KEY = 'settings';
+
+// Tweets tab orders; the dashboard's sortTweets has a comparator for each
+const DASHBOARD_SORTS = ['saved-desc', 'saved-asc', 'tweeted-desc', 'tweeted-asc', 'author', 'ticker'];
+
+const DEFAULT_TWEET_TEMPLATE = `# Saved Tweet
+
+## Metadata
+- **Captured:** {{saved_at}}
+- **Tweet Time:** {{tweeted_at}}
+- **Author:** @{{author}}{{#author_display_name}} ({{author_display_name}}){{/author_display_name}}
+- **Tickers:** {{tickers}}
+- **Actionable Trade:** {{actionable}}
+- **URL:** {{url}}
+{{#tags}}
+- **Tags:** {{tags}}
+{{/tags}}
+{{#collections}}
+- **Collections:** {{collections}}
+{{/collections}}
+
+{{#conversation}}
+## Conversation
+
+{{conversation}}
+
+{{/conversation}}
+{{^conversation}}
+## Tweet Content
+
+{{text_quoted}}
+
+{{/conversation}}
+{{#quoted_tweet}}
+## Quoted Tweet
+
+{{quoted_tweet}}
+
+{{/quoted_tweet}}
+{{#link}}
+## Link
+
+{{link}}
+
+{{/link}}
+{{#images}}
+## Images
+
+{{images}}
+
+{{/images}}
+{{#comment}}
+## Notes
+
+{{comment}}
+
+{{/comment}}
+---
+*Saved with X Tweet Tracker*
+`;
+
+const DEFAULT_SETTINGS = {
+  general: {
+    // Ask for a note and tags before saving; off saves on the first click
+    showSaveModal: true,
+    // Shift+S / Shift+A / Shift+M on x.com for the focused or hovered tweet
+    hotkeys: true,
+    // Price cards when hovering $TICKER cashtags on x.com
+    showQuoteCards: true,
+    // Price change since the tweet next to tickers in the dashboard
+    showPerformance: true
+  },
+  popup: {
+    topTickers: 5,
+    recentTweets: 3
+  },
+  dashboard: {
+    // Tweets tab order, see DASHBOARD_SORTS
+    sort: 'saved-desc',
+    // [{ name, query }] shown as chips above the tweet list
+    savedSearches: [],
+    // Analytics tab period: 7d, 30d, 90d, 1y or all
+    analyticsWindow: '30d'
+  },
+  markdown: {
+    autoDownload: true,
+    frontMatter: false,
+    useTemplateForExport: false,
+    folderPattern: 'tweet-tracker-tweets/tweet_{{author}}{{tickers_suffix}}_{{saved_date}}_{{saved_time}}',
+    filenamePattern: 'tweet_{{author}}{{tickers_suffix}}_{{saved_date}}_{{saved_time}}',
+    template: DEFAULT_TWEET_TEMPLATE
+  },
+  tickers: DEFAULT_TICKER_SETTINGS,
+  quotes: {
+    provider: 'local',
+    fallbackProvider: 'yahoo',
+    baseUrl: 'http://localhost:5050',
+    cacheTtlMinutes: 15
+  }
+};
+
+// Field types per section. Fields not listed here are dropped on save.
+const SETTINGS_SCHEMA = {
+  general: {
+    showSaveModal: { type: 'boolean' },
+    hotkeys: { type: 'boolean' },
+    showQuoteCards: { type: 'boolean' },
+    showPerformance: { type: 'boolean' }
+  },
+  popup: {
+    topTickers: { type: 'integer', min: 1, max: 20 },
+    recentTweets: { type: 'integer', min: 0, max: 20 }
+  },
+  dashboard: {
+    sort: { type: 'enum', values: DASHBOARD_SORTS },
+    savedSearches: { type: 'savedSearches', max: 30 },
+    analyticsWindow: { type: 'enum', values: ['7d', '30d', '90d', '1y', 'all'] }
+  },
+  markdown: {
+    autoDownload: { type: 'boolean' },
+    frontMatter: { type: 'boolean' },
+    useTemplateForExport: { type: 'boolean' },
+    folderPattern: { type: 'path' },
+    filenamePattern: { type: 'path' },
+    template: { type: 'text' }
+  },
+  tickers: {
+    pattern: { type: 'cashtagPattern' },
+    ignore: { type: 'symbols' },
+    aliases: { type: 'aliases' }
+  },
+  quotes: {
+    provider: { type: 'enum', values: ['local', 'yahoo'] },
+    fallbackProvider: { type: 'enum', values: ['', 'local', 'yahoo'] },
+    baseUrl: { type: 'url' },
+    cacheTtlMinutes: { type: 'number', min: 0 }
+  }
+};
+
+// Check one value against its field schema: { value } or { error }
+function validateSettingValue(field, value) {
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'Must be true or false' };
+
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number)) {
+        return { error: 'Must be a number' };
+      }
+      if (field.type === 'integer' && !Number.isInteger(number)) {
+        return { error: 'Must be a whole number' };
+      }
+      if (field.min !== undefined && number < field.min) {
+        return { error: `Must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && number > field.max) {
+        return { error: `Must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+
+    case 'enum':
+      return field.values.includes(value) ? { value } : { error: `Must be one of: ${field.values.filter(v => v).join(', ')}` };
+
+    case 'text':
+      return typeof value === 'string' && value.trim() ? { value } : { error: 'Required' };
+
+    case 'path':
+      if (typeof value !== 'string' || !value.trim()) {
+        return { error: 'Required' };
+      }
+      if (/^[/\\]|^[a-z]:/i.test(value.trim()) || value.split(/[/\\]/).some(segment => segment.trim() === '..')) {
+        return { error: 'Must be a path inside the downloads folder' };
+      }
+      return { value: value.trim() };
+
+    case 'url':
+      try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          return { error: 'Must be an http(s) URL' };
+        }
+      } catch (error) {
+        return { error: 'Invalid URL' };
+      }
+      return { value: value.trim().replace(/\/+$/, '') };
+
+    case 'cashtagPattern': {
+      const error = validateCashtagPattern(value);
+      return error ? { error } : { value };
+    }
+
+    case 'symbols':
+      return Array.isArray(value) && value.every(v => typeof v === 'string')
+        ? { value: [...new Set(value.map(normalizeTickerSymbol).filter(Boolean))] }
+        : { error: 'Must be a list of symbols' };
+
+    case 'aliases': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'Must map cashtags to symbols' };
+      }
+      const invalid = Object.entries(value).find(([from, to]) => !normalizeTickerSymbol(from) || !normalizeTickerSymbol(to));
+      return invalid
+        ? { error: `Invalid alias: ${invalid[0]}` }
+        : { value: normalizeTickerSettings({ aliases: value }).aliases };
+    }
+
+    case 'savedSearches': {
+      if (!Array.isArray(value) || value.some(s => !s || typeof s.name !== 'string' || typeof s.query !== 'string')) {
+        return { error: 'Must be a list of named queries' };
+      }
+      const searches = value
+        .map(s => ({ name: s.name.trim(), query: s.query.trim() }))
+        .filter(s => s.name && s.query)
+        .filter((s, index, all) => all.findIndex(other => other.name === s.name) === index);
+      if (field.max !== undefined && searches.length > field.max) {
+        return { error: `At most ${field.max} saved searches` };
+      }
+      return { value: searches };
+    }
+
+    default:
+      return { error: 'Unknown setting' };
+  }
+}
+
+// Validate a (possibly partial) settings object against SETTINGS_SCHEMA.
+// Missing sections and fields get defaults. Returns { settings, errors }
+// where errors maps "section.field" to a message; invalid fields keep their
+// default in settings.
+function validateSettings(input) {
+  const settings = {};
+  const errors = {};
+
+  Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+    const values = input?.[section] && typeof input[section] === 'object' ? input[section] : {};
+    settings[section] = {};
+
+    Object.entries(fields).forEach(([name, field]) => {
+      const fallback = DEFAULT_SETTINGS[section][name];
+      if (values[name] === undefined) {
+        settings[section][name] = fallback;
+        return;
+      }
+      const result = validateSettingValue(field, values[name]);
+      if (result.error) {
+        errors[`${section}.${name}`] = result.error;
+        settings[section][name] = fallback;
+      } else {
+        settings[section][name] = result.value;
+      }
+    });
+  });
+
+  return { settings, errors };
+}
+
+// Stored settings merged over defaults. Bad stored values fall back to defaults.
+async function getStoredSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  return validateSettings(result[SETTINGS_KEY]).settings;
+}
+
+// Call back with the full settings object whenever it changes
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SETTINGS_KEY]) {
+      callback(validateSettings(changes[SETTINGS_KEY].newValue).settings, changes[SETTINGS_KEY].oldValue);
+    }
+  });
+}
@@ -0,0 +1,97 @@
+// X Tweet Tracker - Ticker Parsing
+// Shared by content.js, background.js and the dashboard so cashtags are read
+// the same way everywhere
+
+// Symbol part of a cashtag: a letter, up to 10 letters/digits ($SPX500),
+// and an optional share-class suffix ($BRK.B, $BRK-B, $BRK/B)
+const DEFAULT_CASHTAG_PATTERN = '[A-Za-z][A-Za-z0-9]{0,9}(?:[./-][A-Za-z]{1,2})?';
+
+const DEFAULT_TICKER_SETTINGS = {
+  // Regex source for the symbol after "$"
+  pattern: DEFAULT_CASHTAG_PATTERN,
+  // Cashtags that are never tickers
+  ignore: ['USD', 'USDT', 'USDC', 'CAD', 'EUR', 'GBP', 'AUD', 'JPY'],
+  // Alternate spellings mapped to the symbol we store
+  aliases: {
+    GOOG: 'GOOGL',
+    BITCOIN: 'BTC',
+    ETHEREUM: 'ETH'
+  }
+};
+
+// Full cashtag regex around a symbol pattern. The lookbehind skips "US$5"
+// style amounts, and the default pattern requiring a letter first skips "$100".
+function buildCashtagRegex(pattern = DEFAULT_CASHTAG_PATTERN) {
+  return new RegExp(`(?<![\\w$])\\$(${pattern})(?![A-Za-z0-9])`, 'g');
+}
+
+// Error message for an unusable symbol pattern, or null
+function validateCashtagPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return 'Pattern is required';
+  }
+  try {
+    if (buildCashtagRegex(pattern).test('$')) {
+      return 'Pattern must not match an empty symbol';
+    }
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+  return null;
+}
+
+// Fill in missing fields and normalize a stored settings object
+function normalizeTickerSettings(settings) {
+  const merged = { ...DEFAULT_TICKER_SETTINGS, ...(settings || {}) };
+  return {
+    pattern: validateCashtagPattern(merged.pattern) ? DEFAULT_CASHTAG_PATTERN : merged.pattern,
+    ignore: [...new Set((merged.ignore || []).map(normalizeTickerSymbol).filter(Boolean))],
+    aliases: Object.fromEntries(
+      Object.entries(merged.aliases || {})
+        .map(([from, to]) => [normalizeTickerSymbol(from), normalizeTickerSymbol(to)])
+        .filter(([from, to]) => from && to)
+    )
+  };
+}
+
+// Uppercase and use "." for share classes: brk-b -> BRK.B
+function normalizeTickerSymbol(raw) {
+  return String(raw || '')
+    .trim()
+    .replace(/^\$/, '')
+    .toUpperCase()
+    .replace(/[/-]/g, '.');
+}
+
+// Normalize a symbol and apply aliases and the ignore list; null when ignored
+function normalizeTicker(raw, settings = DEFAULT_TICKER_SETTINGS) {
+  const symbol = normalizeTickerSymbol(raw);
+  if (!symbol) return null;
+
+  const resolved = settings.aliases[symbol] || symbol;
+  if (settings.ignore.includes(symbol) || settings.ignore.includes(resolved)) {
+    return null;
+  }
+  return resolved;
+}
+
+// Find cashtags in text with their positions
+function findCashtags(text, settings = DEFAULT_TICKER_SETTINGS) {
+  const regex = buildCashtagRegex(settings.pattern);
+  const cashtags = [];
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const symbol = normalizeTicker(match[1], settings);
+    if (symbol) {
+      cashtags.push({ index: match.index, length: match[0].length, text: match[0], symbol });
+    }
+  }
+
+  return cashtags;
+}
+
+// Extract unique tickers from text
+function extractTickers(text, settings = DEFAULT_TICKER_SETTINGS) {
+  return [...new Set(findCashtags(text || '', settings).map(c => c.symbol))];
+}
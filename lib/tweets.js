@@ -0,0 +1,66 @@
+// X Tweet Tracker - Tweet Store Keys
+// Each saved tweet lives under `tweet:<id>` in chrome.storage.local, with the
+// saved IDs (newest first) under TWEET_INDEX_KEY. background.js writes them;
+// content.js keeps a set of saved IDs for the save buttons.
+//
+// Besides author tags, a tweet can carry its own `tags` and the names of the
+// `collections` it belongs to; both are lists of labels.
+
+const TWEET_KEY_PREFIX = 'tweet:';
+const TWEET_INDEX_KEY = 'tweetIndex';
+
+function tweetKey(id) {
+  return `${TWEET_KEY_PREFIX}${id}`;
+}
+
+// Get the saved tweet IDs, newest save first
+async function getStoredTweetIds() {
+  const result = await chrome.storage.local.get(TWEET_INDEX_KEY);
+  return result[TWEET_INDEX_KEY] || [];
+}
+
+// Get a single saved tweet record, or null
+async function getStoredTweet(tweetId) {
+  const result = await chrome.storage.local.get(tweetKey(tweetId));
+  return result[tweetKey(tweetId)] || null;
+}
+
+// Call back with the saved tweet IDs whenever a tweet is saved or deleted
+function onTweetIdsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[TWEET_INDEX_KEY]) {
+      callback(changes[TWEET_INDEX_KEY].newValue || []);
+    }
+  });
+}
+
+// Trim labels and drop blanks and case-insensitive duplicates, keeping the first spelling
+function normalizeTweetLabels(labels) {
+  const seen = new Set();
+  return (labels || [])
+    .map(label => String(label).trim().replace(/\s+/g, ' '))
+    .filter(label => {
+      const key = label.toLowerCase();
+      if (!label || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Split comma-separated input into labels
+function parseTweetLabels(input) {
+  return normalizeTweetLabels(String(input || '').split(','));
+}
+
+// Completions for the last label of comma-separated input, as full input
+// values; known is a list of label names, most used first
+function completeTweetLabels(input, known, limit = 8) {
+  const parts = String(input || '').split(',');
+  const partial = parts.pop().trim().toLowerCase();
+  const chosen = new Set(parts.map(part => part.trim().toLowerCase()));
+  const prefix = parts.map(part => part.trim()).filter(Boolean).join(', ');
+  return known
+    .filter(name => !chosen.has(name.toLowerCase()) && name.toLowerCase().startsWith(partial))
+    .slice(0, limit)
+    .map(name => (prefix ? `${prefix}, ${name}` : name));
+}
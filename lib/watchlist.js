@@ -0,0 +1,21 @@
+// X Tweet Tracker - Watchlist
+// Symbols to watch for on x.com, stored as an array under WATCHLIST_KEY in
+// chrome.storage.local. background.js writes it; content.js, the popup and
+// the dashboard read it and follow changes.
+
+const WATCHLIST_KEY = 'watchlist';
+
+// Get the watchlist symbols
+async function getStoredWatchlist() {
+  const result = await chrome.storage.local.get(WATCHLIST_KEY);
+  return result[WATCHLIST_KEY] || [];
+}
+
+// Call back with the new watchlist whenever it changes
+function onWatchlistChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[WATCHLIST_KEY]) {
+      callback(changes[WATCHLIST_KEY].newValue || []);
+    }
+  });
+}
@@ -0,0 +1,287 @@
+// X Tweet Tracker - Options
+// Edits the settings object from lib/settings.js, one section at a time
+
+// DOM Elements - General
+const showSaveModal = document.getElementById('showSaveModal');
+const hotkeys = document.getElementById('hotkeys');
+const showQuoteCards = document.getElementById('showQuoteCards');
+const showPerformance = document.getElementById('showPerformance');
+
+// DOM Elements - Popup
+const popupTopTickers = document.getElementById('popupTopTickers');
+const popupRecentTweets = document.getElementById('popupRecentTweets');
+
+// DOM Elements - Markdown Files
+const markdownAutoDownload = document.getElementById('markdownAutoDownload');
+const markdownFrontMatter = document.getElementById('markdownFrontMatter');
+const markdownUseTemplateForExport = document.getElementById('markdownUseTemplateForExport');
+const markdownFolderPattern = document.getElementById('markdownFolderPattern');
+const markdownFilenamePattern = document.getElementById('markdownFilenamePattern');
+const markdownTemplate = document.getElementById('markdownTemplate');
+const markdownPlaceholders = document.getElementById('markdownPlaceholders');
+
+// DOM Elements - Cashtags
+const tickerPattern = document.getElementById('tickerPattern');
+const tickerIgnore = document.getElementById('tickerIgnore');
+const tickerAliases = document.getElementById('tickerAliases');
+
+// DOM Elements - Quote Source
+const quoteProvider = document.getElementById('quoteProvider');
+const quoteBaseUrl = document.getElementById('quoteBaseUrl');
+const quoteFallbackProvider = document.getElementById('quoteFallbackProvider');
+const quoteCacheTtl = document.getElementById('quoteCacheTtl');
+
+// How each section's fields map to the form. read() returns the section's
+// values, or throws with a message when the form can't be parsed.
+const SECTION_FORMS = {
+  general: {
+    fields: { showSaveModal, hotkeys, showQuoteCards, showPerformance },
+    fill(values) {
+      showSaveModal.checked = values.showSaveModal;
+      hotkeys.checked = values.hotkeys;
+      showQuoteCards.checked = values.showQuoteCards;
+      showPerformance.checked = values.showPerformance;
+    },
+    read() {
+      return {
+        showSaveModal: showSaveModal.checked,
+        hotkeys: hotkeys.checked,
+        showQuoteCards: showQuoteCards.checked,
+        showPerformance: showPerformance.checked
+      };
+    }
+  },
+
+  popup: {
+    fields: { topTickers: popupTopTickers, recentTweets: popupRecentTweets },
+    fill(values) {
+      popupTopTickers.value = values.topTickers;
+      popupRecentTweets.value = values.recentTweets;
+    },
+    read() {
+      return {
+        topTickers: popupTopTickers.value,
+        recentTweets: popupRecentTweets.value
+      };
+    }
+  },
+
+  markdown: {
+    fields: {
+      autoDownload: markdownAutoDownload,
+      frontMatter: markdownFrontMatter,
+      useTemplateForExport: markdownUseTemplateForExport,
+      folderPattern: markdownFolderPattern,
+      filenamePattern: markdownFilenamePattern,
+      template: markdownTemplate
+    },
+    fill(values) {
+      markdownAutoDownload.checked = values.autoDownload;
+      markdownFrontMatter.checked = values.frontMatter;
+      markdownUseTemplateForExport.checked = values.useTemplateForExport;
+      markdownFolderPattern.value = values.folderPattern;
+      markdownFilenamePattern.value = values.filenamePattern;
+      markdownTemplate.value = values.template;
+    },
+    read() {
+      return {
+        autoDownload: markdownAutoDownload.checked,
+        frontMatter: markdownFrontMatter.checked,
+        useTemplateForExport: markdownUseTemplateForExport.checked,
+        folderPattern: markdownFolderPattern.value.trim(),
+        filenamePattern: markdownFilenamePattern.value.trim(),
+        template: markdownTemplate.value
+      };
+    }
+  },
+
+  tickers: {
+    fields: { pattern: tickerPattern, ignore: tickerIgnore, aliases: tickerAliases },
+    fill(values) {
+      tickerPattern.value = values.pattern;
+      tickerIgnore.value = values.ignore.join(', ');
+      tickerAliases.value = Object.entries(values.aliases).map(([from, to]) => `${from} = ${to}`).join('\n');
+    },
+    read() {
+      const aliases = {};
+      tickerAliases.value.split('\n').map(line => line.trim()).filter(line => line).forEach(line => {
+        const [from, to] = line.split('=').map(part => part && part.trim());
+        if (!from || !to) {
+          throw new Error(`Invalid alias: ${line}`);
+        }
+        aliases[from] = to;
+      });
+
+      return {
+        pattern: tickerPattern.value.trim(),
+        ignore: tickerIgnore.value.split(',').map(t => t.trim()).filter(t => t),
+        aliases
+      };
+    }
+  },
+
+  quotes: {
+    fields: {
+      provider: quoteProvider,
+      baseUrl: quoteBaseUrl,
+      fallbackProvider: quoteFallbackProvider,
+      cacheTtlMinutes: quoteCacheTtl
+    },
+    fill(values) {
+      quoteProvider.value = values.provider;
+      quoteFallbackProvider.value = values.fallbackProvider || '';
+      quoteBaseUrl.value = values.baseUrl;
+      quoteCacheTtl.value = values.cacheTtlMinutes;
+    },
+    read() {
+      return {
+        provider: quoteProvider.value,
+        fallbackProvider: quoteFallbackProvider.value,
+        baseUrl: quoteBaseUrl.value.trim(),
+        cacheTtlMinutes: quoteCacheTtl.value
+      };
+    }
+  }
+};
+
+// Sections with edits that haven't been saved; live updates skip them
+const dirtySections = new Set();
+
+// Section element for a settings section name
+function getSectionElement(section) {
+  return document.querySelector(`.settings-section[data-section="${section}"]`);
+}
+
+function setStatus(section, message, type) {
+  const status = getSectionElement(section).querySelector('.settings-status');
+  status.textContent = message;
+  status.className = `settings-status ${type}`;
+}
+
+// Mark invalid fields; errors maps "section.field" to a message
+function showFieldErrors(section, errors) {
+  Object.entries(SECTION_FORMS[section].fields).forEach(([name, element]) => {
+    element.classList.toggle('invalid', !!errors[`${section}.${name}`]);
+  });
+}
+
+// Load all settings into the form
+async function loadSettings() {
+  const { settings, providers, placeholders } = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+
+  quoteProvider.innerHTML = '';
+  quoteFallbackProvider.innerHTML = '<option value="">None</option>';
+  Object.entries(providers).forEach(([id, name]) => {
+    quoteProvider.appendChild(new Option(name, id));
+    quoteFallbackProvider.appendChild(new Option(name, id));
+  });
+
+  markdownPlaceholders.innerHTML = Object.entries(placeholders).map(([name, description]) => `
+    <dt>{{${escapeHtml(name)}}}</dt>
+    <dd>${escapeHtml(description)}</dd>
+  `).join('');
+
+  Object.entries(SECTION_FORMS).forEach(([section, form]) => form.fill(settings[section]));
+}
+
+// Validate and save one section
+async function saveSection(section) {
+  let values;
+  try {
+    values = SECTION_FORMS[section].read();
+  } catch (error) {
+    setStatus(section, error.message, 'error');
+    return;
+  }
+
+  const { errors } = validateSettings({ [section]: values });
+  showFieldErrors(section, errors);
+  const invalid = Object.entries(errors);
+  if (invalid.length > 0) {
+    setStatus(section, invalid[0][1], 'error');
+    return;
+  }
+
+  // Servers other than localhost need a host permission granted at runtime
+  if (section === 'quotes') {
+    const granted = await chrome.permissions.request({ origins: [`${new URL(values.baseUrl).origin}/*`] });
+    if (!granted) {
+      setStatus(section, 'Permission to reach that server was denied', 'error');
+      return;
+    }
+  }
+
+  const result = await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', data: { [section]: values } });
+  if (result.success) {
+    dirtySections.delete(section);
+    SECTION_FORMS[section].fill(result.settings[section]);
+    setStatus(section, 'Saved', 'success');
+  } else {
+    showFieldErrors(section, result.errors || {});
+    setStatus(section, result.error || 'Failed to save', 'error');
+  }
+}
+
+// Put a section's defaults back in the form (not saved until Save)
+function resetSection(section) {
+  SECTION_FORMS[section].fill(DEFAULT_SETTINGS[section]);
+  dirtySections.add(section);
+  showFieldErrors(section, {});
+  setStatus(section, 'Defaults restored, click Save to keep them', '');
+}
+
+// Re-extract tickers for all saved tweets with the saved cashtag settings
+async function reparseTickers() {
+  if (dirtySections.has('tickers')) {
+    setStatus('tickers', 'Save your changes before re-parsing', 'error');
+    return;
+  }
+  setStatus('tickers', 'Re-parsing...', '');
+  const result = await chrome.runtime.sendMessage({ type: 'REPARSE_TICKERS' });
+  setStatus('tickers', `Updated ${result.changed} of ${result.total} tweets`, 'success');
+}
+
+// Ping the local server in the form, saved or not
+async function testQuoteSource() {
+  setStatus('quotes', 'Testing...', '');
+  const result = await chrome.runtime.sendMessage({ type: 'TEST_QUOTE_SOURCE', baseUrl: quoteBaseUrl.value.trim().replace(/\/+$/, '') });
+  if (result.success) {
+    setStatus('quotes', 'Server is reachable', 'success');
+  } else {
+    setStatus('quotes', result.error ? `Offline: ${result.error}` : `Server returned ${result.status}`, 'error');
+  }
+}
+
+// Utility functions
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Event listeners
+Object.keys(SECTION_FORMS).forEach(section => {
+  const element = getSectionElement(section);
+  element.addEventListener('input', () => dirtySections.add(section));
+  element.addEventListener('change', () => dirtySections.add(section));
+  element.querySelector('.save-section-btn').addEventListener('click', () => saveSection(section));
+  element.querySelector('.reset-section-btn')?.addEventListener('click', () => resetSection(section));
+});
+
+document.getElementById('reparseTickersBtn').addEventListener('click', reparseTickers);
+document.getElementById('testQuoteSourceBtn').addEventListener('click', testQuoteSource);
+document.getElementById('editShortcutsBtn').addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+// Follow changes saved elsewhere (another options tab, a restored backup)
+onSettingsChanged(settings => {
+  Object.entries(SECTION_FORMS).forEach(([section, form]) => {
+    if (!dirtySections.has(section)) {
+      form.fill(settings[section]);
+    }
+  });
+});
+
+// Initialize
+loadSettings();
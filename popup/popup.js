@@ -8,6 +8,13 @@ const topTickersSection = document.getElementById('topTickersSection');
 const recentTweetsEl = document.getElementById('recentTweets');
 const recentSection = document.getElementById('recentSection');
 const openDashboardBtn = document.getElementById('openDashboard');
+const openOptionsBtn = document.getElementById('openOptions');
+const watchlistEl = document.getElementById('watchlist');
+const watchlistForm = document.getElementById('watchlistForm');
+const watchlistInput = document.getElementById('watchlistInput');
+const watchlistMatchesEl = document.getElementById('watchlistMatches');
+const matchesSection = document.getElementById('matchesSection');
+const clearMatchesBtn = document.getElementById('clearMatches');
 
 // Load and display stats
 async function loadStats() {
@@ -20,7 +27,7 @@ async function loadStats() {
   if (stats.topTickers.length > 0) {
     topTickersSection.style.display = 'block';
     topTickersEl.innerHTML = stats.topTickers
-      .map(([ticker, count]) => `<span class="tag">$${ticker} <span class="count">${count}</span></span>`)
+      .map(([ticker, count]) => `<span class="tag">$${ticker} <span class="count">${count}</span>${renderNetSentiment(stats.sentiment[ticker])}</span>`)
       .join('');
   } else {
     topTickersSection.style.display = 'none';
@@ -42,11 +49,110 @@ async function loadStats() {
   }
 }
 
+// Bullish minus bearish tweets for a ticker, hidden when even
+function renderNetSentiment(counts) {
+  if (!counts || counts.net === 0) return '';
+  const title = `${counts.bullish} bullish, ${counts.bearish} bearish, ${counts.neutral} neutral`;
+  return `<span class="net-sentiment ${counts.net > 0 ? 'bullish' : 'bearish'}" title="${title}">${counts.net > 0 ? '▲' : '▼'}${Math.abs(counts.net)}</span>`;
+}
+
+// Load watchlist and this session's matching tweets
+async function loadWatchlist() {
+  const { watchlist, matches } = await chrome.runtime.sendMessage({ type: 'GET_WATCHLIST' });
+
+  watchlistEl.innerHTML = watchlist.length > 0
+    ? watchlist.map(symbol => `
+        <span class="tag">$${escapeHtml(symbol)}
+          <button class="tag-remove" data-symbol="${escapeHtml(symbol)}" title="Remove from watchlist">&times;</button>
+        </span>
+      `).join('')
+    : '<span class="empty-hint">No tickers yet</span>';
+
+  if (matches.length > 0) {
+    matchesSection.style.display = 'block';
+    watchlistMatchesEl.innerHTML = matches
+      .map(match => `
+        <div class="recent-tweet watchlist-match">
+          <div class="match-body">
+            <div class="tweet-author">@${escapeHtml(match.tweet.author)} · ${match.symbols.map(s => `$${escapeHtml(s)}`).join(' ')}</div>
+            <div class="tweet-preview">${escapeHtml(truncate(match.tweet.text, 80))}</div>
+          </div>
+          <button class="btn-small save-match-btn" data-id="${escapeHtml(match.id)}" ${match.saved ? 'disabled' : ''}>
+            ${match.saved ? 'Saved' : 'Save'}
+          </button>
+        </div>
+      `)
+      .join('');
+  } else {
+    matchesSection.style.display = 'none';
+  }
+}
+
+// Add the typed ticker to the watchlist
+async function addWatchlistSymbol(e) {
+  e.preventDefault();
+  const symbol = watchlistInput.value.trim();
+  if (!symbol) return;
+
+  const result = await chrome.runtime.sendMessage({ type: 'ADD_TO_WATCHLIST', symbol });
+  if (result.success) {
+    watchlistInput.value = '';
+  } else {
+    alert(result.error);
+  }
+}
+
+// Save a matching tweet with defaults
+async function saveMatch(button) {
+  button.disabled = true;
+  const result = await chrome.runtime.sendMessage({ type: 'SAVE_WATCHLIST_MATCH', tweetId: button.dataset.id });
+  if (result.success || result.duplicate) {
+    button.textContent = 'Saved';
+    loadStats();
+  } else {
+    button.disabled = false;
+    alert(`Failed to save: ${result.error}`);
+  }
+}
+
 // Open dashboard
 openDashboardBtn.addEventListener('click', () => {
   chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
 });
 
+// Open options page
+openOptionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Watchlist
+watchlistForm.addEventListener('submit', addWatchlistSymbol);
+
+watchlistEl.addEventListener('click', (e) => {
+  const removeBtn = e.target.closest('.tag-remove');
+  if (removeBtn) {
+    chrome.runtime.sendMessage({ type: 'REMOVE_FROM_WATCHLIST', symbol: removeBtn.dataset.symbol });
+  }
+});
+
+watchlistMatchesEl.addEventListener('click', (e) => {
+  const saveBtn = e.target.closest('.save-match-btn');
+  if (saveBtn) saveMatch(saveBtn);
+});
+
+clearMatchesBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'CLEAR_WATCHLIST_MATCHES' });
+});
+
+// List sizes come from settings, so reload when they change
+onSettingsChanged(loadStats);
+
+// Matches are kept in storage.session, so any session change may be a new one
+onWatchlistChanged(loadWatchlist);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'session') loadWatchlist();
+});
+
 // Utility functions
 function escapeHtml(text) {
   const div = document.createElement('div');
@@ -61,3 +167,4 @@ function truncate(text, maxLength) {
 
 // Initialize
 loadStats();
+loadWatchlist();